@@ -7,19 +7,19 @@
    CONFIGURATION & CONSTANTS
    ============================================ */
 
-/**
- * API endpoint for the streaming LLM backend
- * @constant {string}
- * @description Update this with your current ngrok URL
- */
-const API_URL = "https://louvenia-potentae-victor.ngrok-free.dev/generate_stream";
-
 /**
  * Maximum characters allowed in a single message
  * @constant {number}
  */
 const MAX_MESSAGE_LENGTH = 4000;
 
+/**
+ * Instruction sent to resume a reply that was cut off
+ * @constant {string}
+ */
+const CONTINUE_PROMPT = "Your previous reply was cut off. " +
+    "Continue it from exactly where it stopped, without repeating anything you already wrote.";
+
 /**
  * Auto-scroll behavior threshold (in pixels from bottom)
  * @constant {number}
@@ -32,6 +32,22 @@ const AUTO_SCROLL_THRESHOLD = 100;
  */
 const THEME_STORAGE_KEY = "chatbot-theme";
 
+/**
+ * Inline SVG icons shared by dynamically created buttons
+ * @constant {Object<string, string>}
+ */
+const ICONS = {
+    pin: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 17v5M9 3h6l-1 7 4 3v2H6v-2l4-3-1-7z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    edit: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 20h9" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    copy: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    source: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><polyline points="16 18 22 12 16 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><polyline points="8 6 2 12 8 18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    regenerate: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><polyline points="23 4 23 10 17 10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    trash: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><polyline points="3 6 5 6 21 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    thumbsUp: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M7 10v12M15 5.88 14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    thumbsDown: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M17 14V2M9 18.12 10 14H4.17a2 2 0 0 1-1.92-2.56l2.33-8A2 2 0 0 1 6.5 2H20a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2h-2.76a2 2 0 0 0-1.79 1.11L12 22a3.13 3.13 0 0 1-3-3.88z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+    correction: `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M4 20h4L18.5 9.5a2.83 2.83 0 0 0-4-4L4 16v4z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><path d="M13.5 6.5l4 4M16 20h6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`
+};
+
 /* ============================================
    STATE MANAGEMENT
    ============================================ */
@@ -44,7 +60,18 @@ const state = {
     isStreaming: false,
     currentAbortController: null,
     currentTheme: localStorage.getItem(THEME_STORAGE_KEY) || "light",
-    messageCount: 0
+    messageCount: 0,
+    conversations: [],
+    activeConversation: createConversationRecord(),
+    historyTransport: HISTORY_TRANSPORT.MESSAGES,
+    profiles: [],
+    activeProfile: null,
+    connectionStatus: null,
+    sourceViewIds: new Set(), // Replies shown as raw markdown (this session only)
+    isFollowingLatest: true, // Keep the newest message in view (see handleMessagesScroll)
+    attachments: [], // Documents attached to the active conversation
+    sendQueue: [], // Prompts waiting for the current reply to finish
+    templates: []
 };
 
 /* ============================================
@@ -62,11 +89,117 @@ function initializeElements() {
         messagesArea: document.getElementById("messagesArea"),
         emptyState: document.getElementById("emptyState"),
         messageInput: document.getElementById("messageInput"),
+        inputArea: document.querySelector(".input-area"),
+        attachmentList: document.getElementById("attachmentList"),
+        sendQueue: document.getElementById("sendQueue"),
+        attachBtn: document.getElementById("attachBtn"),
+        attachmentInput: document.getElementById("attachmentInput"),
+        commandMenu: document.getElementById("commandMenu"),
+        commandStatus: document.getElementById("commandStatus"),
+        searchPanel: document.getElementById("searchPanel"),
+        searchCloseBtn: document.getElementById("searchCloseBtn"),
+        searchInput: document.getElementById("searchInput"),
+        searchFilters: document.getElementById("searchFilters"),
+        searchRoleFilter: document.getElementById("searchRoleFilter"),
+        searchFromInput: document.getElementById("searchFromInput"),
+        searchToInput: document.getElementById("searchToInput"),
+        searchConversationFilter: document.getElementById("searchConversationFilter"),
+        searchStatus: document.getElementById("searchStatus"),
+        searchResults: document.getElementById("searchResults"),
+        templatesBtn: document.getElementById("templatesBtn"),
+        templatePanel: document.getElementById("templatePanel"),
+        templateCloseBtn: document.getElementById("templateCloseBtn"),
+        templateSearchInput: document.getElementById("templateSearchInput"),
+        templateFolderFilter: document.getElementById("templateFolderFilter"),
+        templateList: document.getElementById("templateList"),
+        templateNewBtn: document.getElementById("templateNewBtn"),
+        templateForm: document.getElementById("templateForm"),
+        templateNameInput: document.getElementById("templateNameInput"),
+        templateFolderInput: document.getElementById("templateFolderInput"),
+        templateFolderOptions: document.getElementById("templateFolderOptions"),
+        templateTagsInput: document.getElementById("templateTagsInput"),
+        templateTextInput: document.getElementById("templateTextInput"),
+        templateVariablesHint: document.getElementById("templateVariablesHint"),
+        templateDeleteBtn: document.getElementById("templateDeleteBtn"),
+        templateInsertBtn: document.getElementById("templateInsertBtn"),
+        templateFillPanel: document.getElementById("templateFillPanel"),
+        templateFillForm: document.getElementById("templateFillForm"),
+        templateFillTitle: document.getElementById("templateFillTitle"),
+        templateFillFields: document.getElementById("templateFillFields"),
+        templateFillPreview: document.getElementById("templateFillPreview"),
+        templateFillCancelBtn: document.getElementById("templateFillCancelBtn"),
         sendBtn: document.getElementById("sendBtn"),
         clearBtn: document.getElementById("clearBtn"),
         themeToggle: document.getElementById("themeToggle"),
         charCounter: document.getElementById("charCounter"),
-        promptCards: document.querySelectorAll(".prompt-card")
+        suggestedPrompts: document.getElementById("suggestedPrompts"),
+        sidebar: document.getElementById("sidebar"),
+        sidebarToggle: document.getElementById("sidebarToggle"),
+        newChatBtn: document.getElementById("newChatBtn"),
+        conversationList: document.getElementById("conversationList"),
+        personaBtn: document.getElementById("personaBtn"),
+        personaIcon: document.getElementById("personaIcon"),
+        personaName: document.getElementById("personaName"),
+        personaPanel: document.getElementById("personaPanel"),
+        personaCloseBtn: document.getElementById("personaCloseBtn"),
+        personaList: document.getElementById("personaList"),
+        personaForm: document.getElementById("personaForm"),
+        personaNameInput: document.getElementById("personaNameInput"),
+        personaIconInput: document.getElementById("personaIconInput"),
+        personaPromptInput: document.getElementById("personaPromptInput"),
+        personaSuggestionsInput: document.getElementById("personaSuggestionsInput"),
+        personaParamsSummary: document.getElementById("personaParamsSummary"),
+        personaUseParamsBtn: document.getElementById("personaUseParamsBtn"),
+        personaNewBtn: document.getElementById("personaNewBtn"),
+        personaDeleteBtn: document.getElementById("personaDeleteBtn"),
+        parametersToggle: document.getElementById("parametersToggle"),
+        parametersDrawer: document.getElementById("parametersDrawer"),
+        compareBtn: document.getElementById("compareBtn"),
+        comparePanel: document.getElementById("comparePanel"),
+        compareCloseBtn: document.getElementById("compareCloseBtn"),
+        compareForm: document.getElementById("compareForm"),
+        compareEndpoints: document.getElementById("compareEndpoints"),
+        comparePromptInput: document.getElementById("comparePromptInput"),
+        compareStatus: document.getElementById("compareStatus"),
+        compareColumns: document.getElementById("compareColumns"),
+        statsBtn: document.getElementById("statsBtn"),
+        statsPanel: document.getElementById("statsPanel"),
+        statsCloseBtn: document.getElementById("statsCloseBtn"),
+        statsSummary: document.getElementById("statsSummary"),
+        statsChart: document.getElementById("statsChart"),
+        statsTable: document.getElementById("statsTable"),
+        exportBtn: document.getElementById("exportBtn"),
+        exportPanel: document.getElementById("exportPanel"),
+        exportCloseBtn: document.getElementById("exportCloseBtn"),
+        exportOptions: document.getElementById("exportOptions"),
+        datasetOptions: document.getElementById("datasetOptions"),
+        exportStatus: document.getElementById("exportStatus"),
+        importBtn: document.getElementById("importBtn"),
+        importInput: document.getElementById("importInput"),
+        connectionBadge: document.getElementById("connectionBadge"),
+        settingsBtn: document.getElementById("settingsBtn"),
+        settingsPanel: document.getElementById("settingsPanel"),
+        settingsCloseBtn: document.getElementById("settingsCloseBtn"),
+        profileSelect: document.getElementById("profileSelect"),
+        profileForm: document.getElementById("profileForm"),
+        profileNameInput: document.getElementById("profileNameInput"),
+        profileProviderSelect: document.getElementById("profileProviderSelect"),
+        profileUrlInput: document.getElementById("profileUrlInput"),
+        profilePathInput: document.getElementById("profilePathInput"),
+        profileModelInput: document.getElementById("profileModelInput"),
+        profileContextBudgetInput: document.getElementById("profileContextBudgetInput"),
+        profileAuthNameInput: document.getElementById("profileAuthNameInput"),
+        profileAuthValueInput: document.getElementById("profileAuthValueInput"),
+        profileRemoteFields: document.getElementById("profileRemoteFields"),
+        profileMockFields: document.getElementById("profileMockFields"),
+        profileMockChunkInput: document.getElementById("profileMockChunkInput"),
+        profileMockDelayInput: document.getElementById("profileMockDelayInput"),
+        profileMockFirstTokenInput: document.getElementById("profileMockFirstTokenInput"),
+        profileMockFailureSelect: document.getElementById("profileMockFailureSelect"),
+        profileNewBtn: document.getElementById("profileNewBtn"),
+        profileDeleteBtn: document.getElementById("profileDeleteBtn"),
+        profileTestBtn: document.getElementById("profileTestBtn"),
+        profileTestResult: document.getElementById("profileTestResult")
     };
 }
 
@@ -83,6 +216,13 @@ function initialize() {
     setupEventListeners();
     applyTheme(state.currentTheme);
     configureMarked();
+    initializeEndpoints();
+    initializePersonas();
+    initializeTemplates();
+    initializeMessageList();
+    initializeLibrary();
+    initializeCommands();
+    initializeCompare();
     
     // Auto-focus input on load
     elements.messageInput.focus();
@@ -100,6 +240,7 @@ function configureMarked() {
             headerIds: false,
             mangle: false
         });
+        marked.use({ extensions: MATH_MARKDOWN_EXTENSIONS });
     }
 }
 
@@ -117,14 +258,146 @@ function setupEventListeners() {
     // Theme toggle
     elements.themeToggle.addEventListener("click", handleThemeToggle);
     
+    // Conversation sidebar
+    elements.sidebarToggle.addEventListener("click", handleSidebarToggle);
+    elements.newChatBtn.addEventListener("click", startNewConversation);
+    elements.conversationList.addEventListener("click", handleConversationListClick);
+    
+    // Backend settings
+    elements.settingsBtn.addEventListener("click", openSettings);
+    elements.connectionBadge.addEventListener("click", openSettings);
+    elements.settingsCloseBtn.addEventListener("click", closeSettings);
+    elements.settingsPanel.addEventListener("click", event => {
+        // Click on the backdrop closes the panel
+        if (event.target === elements.settingsPanel) {
+            closeSettings();
+        }
+    });
+    elements.profileForm.addEventListener("submit", handleProfileSave);
+    elements.profileSelect.addEventListener("change", handleProfileSelect);
+    elements.profileProviderSelect.addEventListener("change", handleProviderChange);
+    elements.profileNewBtn.addEventListener("click", handleProfileNew);
+    elements.profileDeleteBtn.addEventListener("click", handleProfileDelete);
+    elements.profileTestBtn.addEventListener("click", handleProfileTest);
+    
+    // Persona manager
+    elements.personaBtn.addEventListener("click", openPersonaManager);
+    elements.personaCloseBtn.addEventListener("click", closePersonaManager);
+    elements.personaPanel.addEventListener("click", event => {
+        if (event.target === elements.personaPanel) {
+            closePersonaManager();
+        }
+    });
+    elements.personaList.addEventListener("click", handlePersonaListClick);
+    elements.personaForm.addEventListener("submit", handlePersonaSave);
+    elements.personaNewBtn.addEventListener("click", handlePersonaNew);
+    elements.personaDeleteBtn.addEventListener("click", handlePersonaDelete);
+    elements.personaUseParamsBtn.addEventListener("click", handlePersonaUseCurrentParams);
+    
+    // Message search
+    elements.searchCloseBtn.addEventListener("click", closeSearchPanel);
+    elements.searchPanel.addEventListener("click", event => {
+        if (event.target === elements.searchPanel) {
+            closeSearchPanel();
+        }
+    });
+    elements.searchInput.addEventListener("input", renderSearchResults);
+    elements.searchInput.addEventListener("keydown", handleSearchKeyDown);
+    elements.searchFilters.addEventListener("change", renderSearchResults);
+    elements.searchResults.addEventListener("click", handleSearchResultClick);
+    
+    // Prompt template library
+    elements.templatesBtn.addEventListener("click", openTemplateManager);
+    elements.templateCloseBtn.addEventListener("click", closeTemplateManager);
+    elements.templatePanel.addEventListener("click", event => {
+        if (event.target === elements.templatePanel) {
+            closeTemplateManager();
+        }
+    });
+    elements.templateSearchInput.addEventListener("input", renderTemplateList);
+    elements.templateFolderFilter.addEventListener("change", renderTemplateList);
+    elements.templateList.addEventListener("click", handleTemplateListClick);
+    elements.templateNewBtn.addEventListener("click", handleTemplateNew);
+    elements.templateForm.addEventListener("submit", handleTemplateSave);
+    elements.templateTextInput.addEventListener("input", renderTemplateVariablesHint);
+    elements.templateDeleteBtn.addEventListener("click", handleTemplateDelete);
+    elements.templateInsertBtn.addEventListener("click", handleTemplateInsert);
+    elements.templateFillPanel.addEventListener("click", event => {
+        if (event.target === elements.templateFillPanel) {
+            closeTemplateFill();
+        }
+    });
+    elements.templateFillForm.addEventListener("submit", handleTemplateFillSubmit);
+    elements.templateFillFields.addEventListener("input", renderTemplatePreview);
+    elements.templateFillCancelBtn.addEventListener("click", closeTemplateFill);
+    
+    // Compare mode
+    elements.compareBtn.addEventListener("click", () => openComparePanel());
+    elements.compareCloseBtn.addEventListener("click", closeComparePanel);
+    elements.comparePanel.addEventListener("click", event => {
+        if (event.target === elements.comparePanel) {
+            closeComparePanel();
+        }
+    });
+    elements.compareForm.addEventListener("submit", handleCompareSubmit);
+    
+    // Session stats
+    elements.statsBtn.addEventListener("click", openStatsPanel);
+    elements.statsCloseBtn.addEventListener("click", closeStatsPanel);
+    elements.statsPanel.addEventListener("click", event => {
+        if (event.target === elements.statsPanel) {
+            closeStatsPanel();
+        }
+    });
+    
+    // Export & import
+    elements.exportBtn.addEventListener("click", openExportPanel);
+    elements.exportCloseBtn.addEventListener("click", closeExportPanel);
+    elements.exportPanel.addEventListener("click", event => {
+        if (event.target === elements.exportPanel) {
+            closeExportPanel();
+        }
+    });
+    elements.exportOptions.addEventListener("click", handleExportClick);
+    elements.datasetOptions.addEventListener("click", handleDatasetExportClick);
+    elements.importBtn.addEventListener("click", () => elements.importInput.click());
+    elements.importInput.addEventListener("change", handleImportFile);
+    
+    // Document attachments
+    elements.attachBtn.addEventListener("click", () => elements.attachmentInput.click());
+    elements.attachmentInput.addEventListener("change", handleAttachmentInput);
+    elements.attachmentList.addEventListener("click", handleAttachmentListClick);
+    elements.inputArea.addEventListener("dragover", handleDocumentDragOver);
+    elements.inputArea.addEventListener("dragleave", handleDocumentDragLeave);
+    elements.inputArea.addEventListener("drop", handleDocumentDrop);
+    
+    // Prompts queued while a reply streams
+    elements.sendQueue.addEventListener("click", handleSendQueueClick);
+    
+    // Generation parameters drawer
+    elements.parametersToggle.addEventListener("click", handleParametersToggle);
+    elements.parametersDrawer.addEventListener("input", handleParameterInput);
+    elements.parametersDrawer.addEventListener("change", saveConversationParams);
+    elements.parametersDrawer.addEventListener("click", handlePresetClick);
+    
+    // Code block toolbars and output of sandboxed runs
+    elements.messagesArea.addEventListener("click", handleCodeToolbarClick);
+    window.addEventListener("message", handleCodeRunMessage);
+    
+    // Stop following new content when the user scrolls up
+    elements.messagesArea.addEventListener("scroll", handleMessagesScroll);
+    
     // Input field events
     elements.messageInput.addEventListener("input", handleInputChange);
     elements.messageInput.addEventListener("keydown", handleKeyDown);
     
-    // Suggested prompt cards
-    elements.promptCards.forEach(card => {
-        card.addEventListener("click", handlePromptClick);
-    });
+    // Slash command autocomplete
+    elements.messageInput.addEventListener("input", updateCommandMenu);
+    elements.messageInput.addEventListener("blur", hideCommandMenu);
+    elements.commandMenu.addEventListener("mousedown", handleCommandMenuMouseDown);
+    
+    // Suggested prompt cards (re-rendered when the persona changes)
+    elements.suggestedPrompts.addEventListener("click", handlePromptClick);
     
     // Global keyboard shortcuts
     document.addEventListener("keydown", handleGlobalKeyboard);
@@ -145,35 +418,35 @@ function handleSendMessage() {
         return;
     }
     
+    if (runSlashCommand(message)) {
+        elements.messageInput.value = "";
+        handleInputChange();
+        return;
+    }
+    
     if (message.length > MAX_MESSAGE_LENGTH) {
         showError(`Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`);
         return;
     }
     
+    // One reply at a time; later prompts wait their turn
+    if (state.isStreaming) {
+        enqueuePrompt(message);
+        elements.messageInput.value = "";
+        handleInputChange();
+        return;
+    }
+    
     sendMessage(message);
 }
 
 /**
  * Handle clear chat button click
- * @description Clears all messages and shows empty state
+ * @description Clears the screen by starting a new conversation; the current
+ * one stays available in the sidebar
  */
 function handleClearChat() {
-    if (!confirm("Are you sure you want to clear the chat?")) {
-        return;
-    }
-    
-    // Remove all messages
-    const messages = elements.messagesArea.querySelectorAll(".message, .typing-indicator");
-    messages.forEach(msg => msg.remove());
-    
-    // Show empty state
-    elements.emptyState.classList.remove("hidden");
-    
-    // Reset state
-    state.messageCount = 0;
-    
-    // Focus input
-    elements.messageInput.focus();
+    startNewConversation();
 }
 
 /**
@@ -193,8 +466,10 @@ function handleInputChange() {
     const length = elements.messageInput.value.length;
     elements.charCounter.textContent = `${length} character${length !== 1 ? "s" : ""}`;
     
-    // Enable/disable send button
-    elements.sendBtn.disabled = elements.messageInput.value.trim().length === 0;
+    // Enable/disable send button (the stop button shown while streaming stays enabled)
+    if (!state.isStreaming) {
+        elements.sendBtn.disabled = elements.messageInput.value.trim().length === 0;
+    }
     
     // Auto-resize textarea
     autoResizeTextarea();
@@ -202,10 +477,15 @@ function handleInputChange() {
 
 /**
  * Handle keyboard events in input field
- * @description Implements Enter to send, Shift+Enter for new line
+ * @description Implements Enter to send, Shift+Enter for new line; the slash
+ * command popup gets the keys first while it is open
  * @param {KeyboardEvent} event - The keyboard event
  */
 function handleKeyDown(event) {
+    if (handleCommandMenuKey(event)) {
+        return;
+    }
+    
     // Enter key without Shift = send message
     if (event.key === "Enter" && !event.shiftKey) {
         event.preventDefault();
@@ -215,12 +495,17 @@ function handleKeyDown(event) {
 
 /**
  * Handle suggested prompt card clicks
- * @description Populates input with suggested prompt
+ * @description Populates input with suggested prompt, or inserts a template
  * @param {Event} event - The click event
  */
 function handlePromptClick(event) {
-    const card = event.currentTarget;
-    const prompt = card.dataset.prompt;
+    const card = event.target.closest(".prompt-card");
+    const prompt = card && card.dataset.prompt;
+    
+    if (card && card.dataset.templateId) {
+        useTemplate(card.dataset.templateId);
+        return;
+    }
     
     if (prompt) {
         elements.messageInput.value = prompt;
@@ -231,10 +516,66 @@ function handlePromptClick(event) {
 
 /**
  * Handle global keyboard shortcuts
- * @description Implements Ctrl+K to focus input, Esc to clear input
+ * @description Implements Ctrl+K to focus input, Ctrl+Shift+F to search
+ * messages, Esc to close panels or clear input
  * @param {KeyboardEvent} event - The keyboard event
  */
 function handleGlobalKeyboard(event) {
+    // Esc = close settings panel (if open)
+    if (event.key === "Escape" && !elements.settingsPanel.classList.contains("hidden")) {
+        closeSettings();
+        return;
+    }
+    
+    // Esc = close persona manager (if open)
+    if (event.key === "Escape" && !elements.personaPanel.classList.contains("hidden")) {
+        closePersonaManager();
+        return;
+    }
+    
+    // Esc = close search overlay (if open)
+    if (event.key === "Escape" && !elements.searchPanel.classList.contains("hidden")) {
+        closeSearchPanel();
+        return;
+    }
+    
+    // Esc = close template variables form (if open)
+    if (event.key === "Escape" && !elements.templateFillPanel.classList.contains("hidden")) {
+        closeTemplateFill();
+        return;
+    }
+    
+    // Esc = close template library (if open)
+    if (event.key === "Escape" && !elements.templatePanel.classList.contains("hidden")) {
+        closeTemplateManager();
+        return;
+    }
+    
+    // Esc = close compare panel (if open)
+    if (event.key === "Escape" && !elements.comparePanel.classList.contains("hidden")) {
+        closeComparePanel();
+        return;
+    }
+    
+    // Esc = close stats panel (if open)
+    if (event.key === "Escape" && !elements.statsPanel.classList.contains("hidden")) {
+        closeStatsPanel();
+        return;
+    }
+    
+    // Esc = close export panel (if open)
+    if (event.key === "Escape" && !elements.exportPanel.classList.contains("hidden")) {
+        closeExportPanel();
+        return;
+    }
+    
+    // Ctrl+Shift+F or Cmd+Shift+F = search all messages
+    if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key.toLowerCase() === "f") {
+        event.preventDefault();
+        openSearchPanel();
+        return;
+    }
+    
     // Ctrl+K or Cmd+K = focus input
     if ((event.ctrlKey || event.metaKey) && event.key === "k") {
         event.preventDefault();
@@ -276,8 +617,14 @@ async function sendMessage(message) {
     // Hide empty state
     elements.emptyState.classList.add("hidden");
     
-    // Display user message
-    appendMessage("user", message);
+    // Record the message as a child of the current leaf and display it
+    const conversation = state.activeConversation;
+    const parent = getActiveLeaf(conversation);
+    const node = addMessageNode(conversation, parent ? parent.id : null, "user", message);
+    // Sending always brings the latest message back into view
+    state.isFollowingLatest = true;
+    appendMessage("user", message, null, node.timestamp, node.id);
+    saveConversation();
     
     // Clear input
     elements.messageInput.value = "";
@@ -290,7 +637,7 @@ async function sendMessage(message) {
     showTypingIndicator();
     
     // Stream bot response
-    await streamBotResponse(message);
+    await streamBotResponse();
 }
 
 /**
@@ -299,9 +646,11 @@ async function sendMessage(message) {
  * @param {string} role - The message role ("user" or "bot")
  * @param {string} content - The message content (plain text for user, markdown for bot)
  * @param {string} [messageId] - Optional message ID for updates
+ * @param {number} [timestamp] - When the message was sent (defaults to now)
+ * @param {string} [nodeId] - Conversation tree node the message shows, if any
  * @returns {HTMLElement} The created message element
  */
-function appendMessage(role, content, messageId = null) {
+function appendMessage(role, content, messageId = null, timestamp = Date.now(), nodeId = null) {
     const messageDiv = document.createElement("div");
     messageDiv.className = `message ${role}`;
     
@@ -309,6 +658,32 @@ function appendMessage(role, content, messageId = null) {
         messageDiv.id = messageId;
     }
     
+    if (nodeId) {
+        messageDiv.dataset.nodeId = nodeId;
+    }
+    
+    renderMessageBody(messageDiv, role, content, timestamp);
+    
+    elements.messagesArea.appendChild(messageDiv);
+    observeMessage(messageDiv);
+    scrollToBottom();
+    
+    state.messageCount++;
+    
+    return messageDiv;
+}
+
+/**
+ * Render a message's avatar, bubble and metadata
+ * @description Also used to fill messages mounted by the virtualized list
+ * @param {HTMLElement} messageDiv - The empty message element
+ * @param {string} role - The message role ("user" or "bot")
+ * @param {string} content - The message content
+ * @param {number} timestamp - When the message was sent
+ */
+function renderMessageBody(messageDiv, role, content, timestamp) {
+    const { nodeId } = messageDiv.dataset;
+    
     // Create avatar
     const avatar = document.createElement("div");
     avatar.className = "message-avatar";
@@ -328,70 +703,314 @@ function appendMessage(role, content, messageId = null) {
         bubble.textContent = content;
     } else {
         // Bot messages are rendered as markdown
-        bubble.innerHTML = renderMarkdown(content);
-        highlightCode(bubble);
+        renderBotContent(bubble, content, state.sourceViewIds.has(nodeId));
     }
     
     // Create metadata (timestamp and actions)
     const meta = document.createElement("div");
     meta.className = "message-meta";
     
-    const timestamp = document.createElement("span");
-    timestamp.className = "message-timestamp";
-    timestamp.textContent = getCurrentTime();
+    const timeLabel = document.createElement("span");
+    timeLabel.className = "message-timestamp";
+    timeLabel.textContent = getCurrentTime(new Date(timestamp));
+    
+    meta.appendChild(timeLabel);
+    
+    contentDiv.appendChild(bubble);
+    contentDiv.appendChild(meta);
+    
+    messageDiv.appendChild(avatar);
+    messageDiv.appendChild(contentDiv);
     
-    meta.appendChild(timestamp);
+    renderMessageActions(messageDiv, role, content);
+    
+    const node = nodeId && state.activeConversation.nodes[nodeId];
+    if (node && node.metrics) {
+        renderMessageMetrics(messageDiv, node.metrics);
+    }
+    if (node && node.sources) {
+        renderMessageSources(messageDiv, node.sources);
+    }
+    if (node && node.feedback) {
+        renderMessageFeedback(messageDiv, node.feedback);
+    }
+    if (node) {
+        renderTruncationHint(messageDiv, node);
+    }
+}
+
+/**
+ * Render a message's action buttons and branch navigation
+ * @description Bot messages get copy, rating, correction and regenerate,
+ * user messages get edit.
+ * Messages with sibling branches get "< 2/3 >" arrows. Called again once a
+ * streamed reply is complete, so the buttons act on the final content.
+ * @param {HTMLElement} messageDiv - The message element
+ * @param {string} role - The message role ("user" or "bot")
+ * @param {string} content - The message content
+ */
+function renderMessageActions(messageDiv, role, content) {
+    const meta = messageDiv.querySelector(".message-meta");
+    const { nodeId } = messageDiv.dataset;
+    const node = nodeId && state.activeConversation.nodes[nodeId];
+    
+    meta.querySelectorAll(".message-actions, .branch-nav").forEach(item => item.remove());
+    
+    const actions = document.createElement("div");
+    actions.className = "message-actions";
+    
+    const addAction = (label, icon, handler) => {
+        const btn = document.createElement("button");
+        btn.className = "message-action-btn";
+        btn.setAttribute("aria-label", label);
+        btn.title = label;
+        btn.innerHTML = icon;
+        btn.addEventListener("click", handler);
+        actions.appendChild(btn);
+        return btn;
+    };
     
-    // Add copy button for bot messages
     if (role === "bot") {
-        const actions = document.createElement("div");
-        actions.className = "message-actions";
+        addAction("Copy message", ICONS.copy, () => copyMessage(content));
         
-        const copyBtn = document.createElement("button");
-        copyBtn.className = "message-action-btn";
-        copyBtn.setAttribute("aria-label", "Copy message");
-        copyBtn.innerHTML = `
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <rect x="9" y="9" width="13" height="13" rx="2" ry="2" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-        `;
-        copyBtn.addEventListener("click", () => copyMessage(content));
+        // Stored, finished replies can be rated and corrected
+        if (node && content) {
+            const feedback = node.feedback || {};
+            
+            addAction("Good reply", ICONS.thumbsUp, () => rateMessage(messageDiv, "up"))
+                .setAttribute("aria-pressed", String(feedback.rating === "up"));
+            addAction("Bad reply", ICONS.thumbsDown, () => rateMessage(messageDiv, "down"))
+                .setAttribute("aria-pressed", String(feedback.rating === "down"));
+            addAction("Suggest a correction", ICONS.correction, () => openCorrectionEditor(messageDiv))
+                .setAttribute("aria-pressed", String(Boolean(feedback.correction)));
+        }
         
-        actions.appendChild(copyBtn);
+        // Not while streaming, when the renderer owns the bubble
+        if (content) {
+            addAction("Toggle markdown source", ICONS.source, () => toggleMessageSource(messageDiv, content));
+        }
+        
+        if (nodeId) {
+            addAction("Regenerate response", ICONS.regenerate, () => regenerateMessage(nodeId));
+        }
+    } else if (nodeId) {
+        addAction("Edit message", ICONS.edit, () => startEditingMessage(messageDiv, nodeId));
+    }
+    
+    if (actions.childElementCount > 0) {
         meta.appendChild(actions);
     }
     
-    contentDiv.appendChild(bubble);
-    contentDiv.appendChild(meta);
+    const siblings = node ? getSiblingIds(state.activeConversation, node) : [];
     
-    messageDiv.appendChild(avatar);
-    messageDiv.appendChild(contentDiv);
+    if (siblings.length > 1) {
+        meta.appendChild(createBranchNav(nodeId, siblings));
+    }
+}
+
+/**
+ * Fill a bot message bubble
+ * @param {HTMLElement} bubble - The message bubble
+ * @param {string} content - The markdown content
+ * @param {boolean} showSource - Show the raw markdown instead of rendering it
+ */
+function renderBotContent(bubble, content, showSource) {
+    bubble.classList.toggle("showing-source", showSource);
     
-    elements.messagesArea.appendChild(messageDiv);
-    scrollToBottom();
+    if (showSource) {
+        const source = document.createElement("pre");
+        source.className = "message-source";
+        source.textContent = content;
+        bubble.replaceChildren(source);
+    } else {
+        bubble.innerHTML = renderMarkdown(content);
+        finishRenderedMarkdown(bubble);
+    }
+}
+
+/**
+ * Switch a bot message between rendered markdown and its raw source
+ * @description Remembered for the rest of the session, not persisted
+ * @param {HTMLElement} messageDiv - The message element
+ * @param {string} content - The markdown content
+ */
+function toggleMessageSource(messageDiv, content) {
+    const bubble = messageDiv.querySelector(".message-bubble");
+    const showSource = !bubble.classList.contains("showing-source");
+    const { nodeId } = messageDiv.dataset;
     
-    state.messageCount++;
+    renderBotContent(bubble, content, showSource);
     
-    return messageDiv;
+    if (nodeId && showSource) {
+        state.sourceViewIds.add(nodeId);
+    } else if (nodeId) {
+        state.sourceViewIds.delete(nodeId);
+    }
+}
+
+/**
+ * Create the "< 2/3 >" control for moving between sibling branches
+ * @param {string} nodeId - The node currently shown
+ * @param {Array<string>} siblings - Ids of the node and its siblings
+ * @returns {HTMLElement} The navigation element
+ */
+function createBranchNav(nodeId, siblings) {
+    const index = siblings.indexOf(nodeId);
+    
+    const nav = document.createElement("div");
+    nav.className = "branch-nav";
+    
+    const prevBtn = document.createElement("button");
+    prevBtn.className = "message-action-btn";
+    prevBtn.setAttribute("aria-label", "Previous version");
+    prevBtn.textContent = "‹";
+    prevBtn.disabled = index === 0;
+    prevBtn.addEventListener("click", () => switchBranch(nodeId, -1));
+    
+    const label = document.createElement("span");
+    label.className = "branch-nav-label";
+    label.textContent = `${index + 1}/${siblings.length}`;
+    
+    const nextBtn = document.createElement("button");
+    nextBtn.className = "message-action-btn";
+    nextBtn.setAttribute("aria-label", "Next version");
+    nextBtn.textContent = "›";
+    nextBtn.disabled = index === siblings.length - 1;
+    nextBtn.addEventListener("click", () => switchBranch(nodeId, 1));
+    
+    nav.appendChild(prevBtn);
+    nav.appendChild(label);
+    nav.appendChild(nextBtn);
+    
+    return nav;
 }
 
 /**
- * Update an existing message's content
- * @description Updates message bubble with new content and re-renders markdown
- * @param {string} messageId - The ID of the message to update
- * @param {string} content - The new content
+ * Show a neighbouring sibling branch
+ * @param {string} nodeId - The node currently shown
+ * @param {number} offset - -1 for the previous branch, 1 for the next
  */
-function updateMessage(messageId, content) {
-    const messageDiv = document.getElementById(messageId);
-    if (!messageDiv) return;
+function switchBranch(nodeId, offset) {
+    const conversation = state.activeConversation;
+    
+    if (state.isStreaming || !selectSibling(conversation, nodeId, offset)) {
+        return;
+    }
     
+    renderActiveConversation();
+    persistConversation(conversation);
+    
+    // Keep the switched message in view rather than jumping to the bottom
+    const node = conversation.nodes[nodeId];
+    revealMessage(getSelectedChild(conversation, node.parentId), "nearest");
+}
+
+/**
+ * Generate a new reply to the same prompt as an existing bot message
+ * @description The old reply is kept as a sibling branch
+ * @param {string} nodeId - The bot message to regenerate
+ */
+async function regenerateMessage(nodeId) {
+    const conversation = state.activeConversation;
+    const node = conversation.nodes[nodeId];
+    
+    if (state.isStreaming || !node) {
+        return;
+    }
+    
+    // Cut the visible path at the prompt, then answer it again
+    setSelectedChild(conversation, node.parentId, null);
+    renderActiveConversation();
+    showTypingIndicator();
+    
+    await streamBotResponse({ replacedNodeId: nodeId });
+}
+
+/**
+ * Turn a user message into an inline editor
+ * @param {HTMLElement} messageDiv - The message element
+ * @param {string} nodeId - The user message's node
+ */
+function startEditingMessage(messageDiv, nodeId) {
+    const node = state.activeConversation.nodes[nodeId];
     const bubble = messageDiv.querySelector(".message-bubble");
-    if (!bubble) return;
     
-    bubble.innerHTML = renderMarkdown(content);
-    highlightCode(bubble);
-    scrollToBottom();
+    if (state.isStreaming || !node || messageDiv.classList.contains("editing")) {
+        return;
+    }
+    
+    messageDiv.classList.add("editing");
+    
+    const editor = document.createElement("textarea");
+    editor.className = "message-edit-input";
+    editor.value = node.content;
+    editor.setAttribute("aria-label", "Edit message");
+    
+    const saveBtn = document.createElement("button");
+    saveBtn.className = "primary-btn";
+    saveBtn.textContent = "Save & send";
+    
+    const cancelBtn = document.createElement("button");
+    cancelBtn.className = "secondary-btn";
+    cancelBtn.textContent = "Cancel";
+    
+    const buttons = document.createElement("div");
+    buttons.className = "message-edit-actions";
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(saveBtn);
+    
+    bubble.replaceChildren(editor, buttons);
+    editor.focus();
+    
+    const cancel = () => {
+        messageDiv.classList.remove("editing");
+        bubble.textContent = node.content;
+    };
+    
+    const save = () => {
+        const content = editor.value.trim();
+        
+        if (!content || content.length > MAX_MESSAGE_LENGTH) {
+            return;
+        }
+        
+        messageDiv.classList.remove("editing");
+        resendEditedMessage(nodeId, content);
+    };
+    
+    cancelBtn.addEventListener("click", cancel);
+    saveBtn.addEventListener("click", save);
+    editor.addEventListener("keydown", event => {
+        if (event.key === "Enter" && !event.shiftKey) {
+            event.preventDefault();
+            save();
+        } else if (event.key === "Escape") {
+            event.stopPropagation();
+            cancel();
+        }
+    });
+}
+
+/**
+ * Send an edited prompt as a new branch
+ * @description The original message and its replies stay as a sibling branch
+ * @param {string} nodeId - The user message that was edited
+ * @param {string} content - The new prompt text
+ */
+async function resendEditedMessage(nodeId, content) {
+    const conversation = state.activeConversation;
+    const original = conversation.nodes[nodeId];
+    
+    if (state.isStreaming) {
+        return;
+    }
+    
+    addMessageNode(conversation, original.parentId, "user", content);
+    renderActiveConversation();
+    saveConversation(conversation);
+    showTypingIndicator();
+    
+    await streamBotResponse();
 }
 
 /**
@@ -431,12 +1050,36 @@ function hideTypingIndicator() {
    API & STREAMING
    ============================================ */
 
+/**
+ * POST the conversation to the active backend
+ * @description See sendConversation; retries are counted down in the chat
+ * @param {Object} profile - The endpoint profile to send to
+ * @param {Array<{role: string, content: string}>} messages - Context messages to send
+ * @param {Object} params - Generation parameters
+ * @param {AbortSignal} signal - Abort signal for the request
+ * @returns {Promise<Response>} A response whose stream can be read
+ * @throws {Error} A classified error (see REQUEST_ERRORS) if it fails
+ */
+function postConversation(profile, messages, params, signal) {
+    return sendConversation(profile, messages, params, { signal, session: state, wait: waitForRetry });
+}
+
 /**
  * Stream bot response from API
- * @description Fetches streaming response and updates UI in real-time
- * @param {string} prompt - The user's message/prompt
+ * @description Sends the active conversation, streams the reply into the UI
+ * in real-time and records it as a child of the prompt being answered
+ * @param {Object} [options] - Streaming options
+ * @param {string} [options.replacedNodeId] - When regenerating, the reply
+ * being replaced; it is shown again if the new attempt produces nothing
+ * @param {string} [options.continueNodeId] - A cut-off reply to extend
+ * instead of starting a new one
  */
-async function streamBotResponse(prompt) {
+async function streamBotResponse({ replacedNodeId = null, continueNodeId = null } = {}) {
+    const conversation = state.activeConversation;
+    const profile = state.activeProfile;
+    const prompt = getActiveLeaf(conversation);
+    const continued = continueNodeId ? conversation.nodes[continueNodeId] : null;
+    
     state.isStreaming = true;
     state.currentAbortController = new AbortController();
     
@@ -444,43 +1087,76 @@ async function streamBotResponse(prompt) {
     replaceSendWithStop();
     
     const messageId = `bot-message-${state.messageCount}`;
+    const metrics = createMetricsRecorder(profile);
     let accumulatedResponse = "";
+    let renderer = null;
+    let messageDiv = null;
+    let failure = null;
+    let stopped = false;
+    let replyNode = null;
+    let sources = [];
+    let systemPrompt = "";
+    let done = null;
+    
+    // Only the latest reply offers to continue
+    elements.messagesArea.querySelectorAll(".truncation-hint").forEach(hint => hint.remove());
     
     try {
-        const response = await fetch(API_URL, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({ prompt }),
-            signal: state.currentAbortController.signal
-        });
+        const transcript = getActivePath(conversation);
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        if (continued) {
+            transcript.push({ role: "user", content: CONTINUE_PROMPT });
         }
         
-        // Hide typing indicator
-        hideTypingIndicator();
+        // A continuation keeps the excerpts the reply started with
+        sources = continued ? continued.sources || [] : searchDocuments(state.attachments, prompt.content);
+        systemPrompt = [getConversationSystemPrompt(conversation), buildSourcesPrompt(sources)].filter(Boolean).join("\n\n");
         
-        // Create initial bot message
-        appendMessage("bot", "", messageId);
+        const messages = buildContextMessages(transcript, systemPrompt, profile.contextBudget);
+        const params = getConversationParams(conversation);
+        const response = await postConversation(profile, messages, params, state.currentAbortController.signal);
+        metrics.markResponse();
         
-        // Read the stream
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
+        // Hide typing indicator
+        hideTypingIndicator();
         
-        while (true) {
-            const { done, value } = await reader.read();
+        // Render chunks into a new bot message, or after the cut-off text
+        if (continued) {
+            messageDiv = elements.messagesArea.querySelector(`[data-node-id="${continued.id}"]`);
+            mountMessage(messageDiv);
+            renderMessageActions(messageDiv, "bot", "");
             
-            if (done) break;
+            const bubble = messageDiv.querySelector(".message-bubble");
+            bubble.classList.remove("showing-source");
+            bubble.replaceChildren();
             
-            // Decode chunk and accumulate
-            const chunk = decoder.decode(value, { stream: true });
-            accumulatedResponse += chunk;
-            
-            // Update message with accumulated response
-            updateMessage(messageId, accumulatedResponse);
+            renderer = createStreamRenderer(bubble);
+            renderer.append(continued.content);
+        } else {
+            messageDiv = appendMessage("bot", "", messageId);
+            renderer = createStreamRenderer(messageDiv.querySelector(".message-bubble"));
+        }
+        
+        // Read the stream as provider-neutral token events
+        try {
+            for await (const event of getProvider(profile).parseStream(response)) {
+                if (event.type === "done") {
+                    done = event;
+                    continue;
+                }
+                
+                metrics.markChunk();
+                accumulatedResponse += event.text;
+                renderer.append(event.text);
+            }
+        } catch (error) {
+            if (error.name === "AbortError") {
+                throw error;
+            }
+            // A dropped connection surfaces as a TypeError from the body reader;
+            // anything else is a bad payload or an error the server streamed
+            console.error("Stream interrupted:", error);
+            throw createRequestError(error.name === "TypeError" ? "truncated" : "server");
         }
         
     } catch (error) {
@@ -488,7 +1164,8 @@ async function streamBotResponse(prompt) {
         
         if (error.name === "AbortError") {
             // User stopped generation
-            if (accumulatedResponse) {
+            stopped = true;
+            if (accumulatedResponse || continued) {
                 // Keep partial response
                 console.log("Generation stopped by user");
             } else {
@@ -498,13 +1175,150 @@ async function streamBotResponse(prompt) {
         } else {
             // Network or other error
             console.error("Error streaming response:", error);
-            showError("Failed to get response from the chatbot. Please try again.");
+            failure = error.kind ? error : createRequestError("unreachable");
         }
     } finally {
+        if (renderer) {
+            renderer.finish();
+        }
+        
+        // Partial replies are kept too, so follow-ups can refer to them
+        if (continued && messageDiv) {
+            continued.content += accumulatedResponse;
+            replyNode = continued;
+        } else if (accumulatedResponse) {
+            replyNode = addMessageNode(conversation, prompt.id, "assistant", accumulatedResponse);
+            messageDiv.dataset.nodeId = replyNode.id;
+            observeMessage(messageDiv);
+            
+            if (sources.length > 0) {
+                replyNode.sources = sources;
+                renderMessageSources(messageDiv, sources);
+            }
+        } else if (replacedNodeId) {
+            setSelectedChild(conversation, prompt.id, replacedNodeId);
+        }
+        
+        if (replyNode) {
+            if (accumulatedResponse) {
+                const segmentMetrics = metrics.finish(accumulatedResponse, done);
+                
+                // A continued reply's metrics cover all of its segments; the
+                // session stats count each request on its own
+                replyNode.metrics = continued ? mergeMetrics(continued.metrics, segmentMetrics) : segmentMetrics;
+                // What the reply was conditioned on, for dataset exports
+                replyNode.systemPrompt = systemPrompt;
+                renderMessageMetrics(messageDiv, replyNode.metrics);
+                recordSessionMetrics(segmentMetrics);
+                
+                if (done && done.finishReason) {
+                    replyNode.finishReason = done.finishReason;
+                } else {
+                    delete replyNode.finishReason;
+                }
+                renderTruncationHint(messageDiv, replyNode);
+            }
+            
+            renderMessageActions(messageDiv, "bot", replyNode.content);
+            saveConversation(conversation);
+        }
+        
         state.isStreaming = false;
         state.currentAbortController = null;
         replaceStopWithSend();
+        releaseOffscreenMessages();
+    }
+    
+    if (failure) {
+        const partial = continued || replyNode;
+        
+        showRequestError(failure, conversation, partial ? "Continue" : "Retry", () => {
+            if (partial) {
+                return streamBotResponse({ continueNodeId: partial.id });
+            }
+            if (replacedNodeId) {
+                return regenerateMessage(replacedNodeId);
+            }
+            showTypingIndicator();
+            return streamBotResponse();
+        });
     }
+    
+    advanceSendQueue(failure ? "failed" : stopped ? "stopped" : "done");
+}
+
+/**
+ * Show a classified request error with a way to recover
+ * @description Cut-off replies offer "Continue"; other failures offer
+ * "Retry". The button only works while the conversation is still where
+ * the error left it.
+ * @param {Error} error - Error from createRequestError
+ * @param {Object} conversation - The conversation the request was for
+ * @param {string} label - Text of the recovery button
+ * @param {function(): Promise} recover - Retries or continues the reply
+ */
+function showRequestError(error, conversation, label, recover) {
+    const messageDiv = appendMessage("bot", `⚠️ **${error.message}.** ${error.hint}`);
+    const leaf = getActiveLeaf(conversation);
+    
+    const button = document.createElement("button");
+    button.className = "secondary-btn error-action-btn";
+    button.textContent = label;
+    button.addEventListener("click", () => {
+        if (state.isStreaming) {
+            return;
+        }
+        
+        messageDiv.remove();
+        
+        if (state.activeConversation === conversation && getActiveLeaf(conversation) === leaf) {
+            recover();
+        }
+    });
+    
+    messageDiv.querySelector(".message-bubble").appendChild(button);
+}
+
+/**
+ * Offer to continue a reply the server cut off at its length limit
+ * @description Only shown on the last message of the path, which is the
+ * only reply a continuation can extend
+ * @param {HTMLElement} messageDiv - The bot message element
+ * @param {Object} node - The reply's tree node
+ */
+function renderTruncationHint(messageDiv, node) {
+    messageDiv.querySelectorAll(".truncation-hint").forEach(hint => hint.remove());
+    
+    if (node.finishReason !== "length" || node.childIds.length > 0) {
+        return;
+    }
+    
+    const conversation = state.activeConversation;
+    
+    const hint = document.createElement("div");
+    hint.className = "truncation-hint";
+    
+    const text = document.createElement("span");
+    text.textContent = "Cut off at the length limit.";
+    
+    const button = document.createElement("button");
+    button.className = "secondary-btn";
+    button.textContent = "Continue";
+    button.addEventListener("click", () => {
+        if (state.isStreaming) {
+            return;
+        }
+        
+        hint.remove();
+        
+        if (state.activeConversation === conversation && getActiveLeaf(conversation) === node) {
+            streamBotResponse({ continueNodeId: node.id });
+        }
+    });
+    
+    hint.appendChild(text);
+    hint.appendChild(button);
+    messageDiv.querySelector(".message-meta").before(hint);
 }
 
 /**
@@ -574,15 +1388,12 @@ function autoResizeTextarea() {
 
 /**
  * Scroll messages area to bottom
- * @description Smoothly scrolls to show the latest message
+ * @description Only while following the latest message, so scrolling up
+ * (even during a reply) is never interrupted
  */
 function scrollToBottom() {
-    const { messagesArea } = elements;
-    const isNearBottom = messagesArea.scrollHeight - messagesArea.scrollTop - messagesArea.clientHeight < AUTO_SCROLL_THRESHOLD;
-    
-    // Only auto-scroll if user is near bottom (prevents interrupting manual scrolling)
-    if (isNearBottom || state.isStreaming) {
-        messagesArea.scrollTop = messagesArea.scrollHeight;
+    if (state.isFollowingLatest) {
+        elements.messagesArea.scrollTop = elements.messagesArea.scrollHeight;
     }
 }
 
@@ -613,11 +1424,11 @@ async function copyMessage(content) {
 
 /**
  * Get current time formatted as HH:MM
- * @description Returns current time in 12-hour format
+ * @description Returns current time (or the given date's time) in 12-hour format
+ * @param {Date} [now] - The date to format (defaults to now)
  * @returns {string} Formatted time string
  */
-function getCurrentTime() {
-    const now = new Date();
+function getCurrentTime(now = new Date()) {
     let hours = now.getHours();
     const minutes = now.getMinutes();
     const ampm = hours >= 12 ? "PM" : "AM";
@@ -636,9 +1447,10 @@ function getCurrentTime() {
 
 /**
  * Render markdown to HTML
- * @description Converts markdown text to HTML using marked.js
+ * @description Converts markdown text to HTML using marked.js, then filters
+ * it through the sanitizer since model output is untrusted
  * @param {string} markdown - The markdown text to render
- * @returns {string} Rendered HTML
+ * @returns {string} Rendered, sanitized HTML
  */
 function renderMarkdown(markdown) {
     if (typeof marked === "undefined") {
@@ -647,7 +1459,7 @@ function renderMarkdown(markdown) {
     }
     
     try {
-        return marked.parse(markdown);
+        return sanitizeHtml(marked.parse(markdown));
     } catch (error) {
         console.error("Markdown rendering error:", error);
         return escapeHtml(markdown).replace(/\n/g, "<br>");
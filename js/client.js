@@ -0,0 +1,300 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CHAT CLIENT
+   Headless chat API, independent of the page
+   ============================================ */
+
+/*
+ * ChatClient talks to a backend without touching the DOM, so a chat can be
+ * driven from any page or script:
+ *
+ *   const client = new ChatClient({ endpoint: "https://…ngrok-free.dev", persona: "coder" });
+ *   client.addEventListener("token", event => console.log(event.detail.text));
+ *   client.addEventListener("error", event => console.error(event.detail.error.message));
+ *   const reply = await client.send("Explain attention in two sentences");
+ *
+ * It keeps a linear history of { role, content } messages and dispatches
+ * these events, with their `detail`:
+ *
+ *   start   the prompt was sent                  { message }
+ *   token   a chunk of the reply arrived         { text, content }
+ *   retry   waiting to retry a failed request    { error, attempt, delay }
+ *   done    the reply is complete                { message, finishReason, usage, model }
+ *   abort   abort() stopped the reply            { message }
+ *   error   the request failed                   { error, message }
+ *
+ * send() resolves with the reply however it ends, so failures only need an
+ * "error" listener. A partial reply is kept in the history when the stream
+ * stops early, as in the app. Requests go through sendConversation(), the same path the app
+ * uses, so provider adapters, retries and the mock backend behave alike.
+ */
+
+/* ============================================
+   REQUESTS
+   ============================================ */
+
+/**
+ * POST a conversation to a backend
+ * @description The profile's provider adapter builds the body; it may ask
+ * for one resend with a different body if the backend rejects the first.
+ * Transient failures are retried with backoff.
+ * @param {Object} profile - The endpoint profile to send to
+ * @param {Array<{role: string, content: string}>} messages - Context messages to send
+ * @param {Object} params - Generation parameters
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Abort signal for the request
+ * @param {Object} options.session - Holds the `historyTransport` the adapter
+ * may switch for the rest of the session
+ * @param {function(number, Error, number, AbortSignal): Promise} options.wait - Waits
+ * before each retry (see requestWithRetry)
+ * @returns {Promise<Response>} A response whose stream can be read
+ * @throws {Error} A classified error (see REQUEST_ERRORS) if it fails
+ */
+function sendConversation(profile, messages, params, { signal, session, wait }) {
+    const provider = getProvider(profile);
+    const send = () => fetchEndpoint(profile, profile.streamPath, {
+        method: "POST",
+        headers: buildEndpointHeaders(profile, {
+            "Content-Type": "application/json",
+            ...(provider.accept && { Accept: provider.accept })
+        }),
+        body: JSON.stringify(provider.buildRequestBody(messages, profile, params, session)),
+        signal
+    });
+
+    const request = async () => {
+        const response = await send();
+        return provider.shouldRetry && provider.shouldRetry(response, session) ? send() : response;
+    };
+
+    return requestWithRetry(request, profile, signal, wait);
+}
+
+/**
+ * Wait for a delay unless aborted
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} signal - Rejects the wait with an AbortError when aborted
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function waitForDelay(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException("Retry cancelled", "AbortError"));
+        };
+
+        const timer = setTimeout(() => {
+            signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, delay);
+
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Build an endpoint profile for a client
+ * @param {string|Object} [endpoint] - A base URL, or profile fields
+ * (provider, baseUrl, streamPath, model, authHeaderName, authHeaderValue, mock)
+ * @returns {Object} A complete profile
+ */
+function createClientProfile(endpoint = {}) {
+    const fields = typeof endpoint === "string" ? { baseUrl: endpoint } : endpoint;
+    const given = Object.fromEntries(
+        Object.entries(fields).filter(([, value]) => value !== undefined && value !== null && value !== "")
+    );
+    const provider = PROVIDERS[given.provider] ? given.provider : DEFAULT_PROVIDER;
+
+    return {
+        ...DEFAULT_PROFILE,
+        id: "client",
+        name: "ChatClient",
+        streamPath: PROVIDERS[provider].defaultPath,
+        ...given,
+        provider
+    };
+}
+
+/* ============================================
+   CHAT CLIENT
+   ============================================ */
+
+/**
+ * A conversation with one backend, without any UI
+ */
+class ChatClient extends EventTarget {
+    /**
+     * @param {Object} [options] - Client options
+     * @param {string|Object} [options.endpoint] - Base URL of the notebook
+     * backend, or profile fields (see createClientProfile)
+     * @param {string} [options.persona] - Id of a built-in persona, for its
+     * system prompt and generation parameters
+     * @param {string} [options.systemPrompt] - Used instead of the persona's
+     * @param {Object} [options.params] - Generation parameters over the persona's
+     * @param {Array<{role: string, content: string}>} [options.history] - Messages to start from
+     */
+    constructor({ endpoint, persona, systemPrompt = null, params = {}, history = [] } = {}) {
+        super();
+
+        this.profile = createClientProfile(endpoint);
+        this.persona = DEFAULT_PERSONAS[0];
+        this.systemPrompt = systemPrompt;
+        this.params = params;
+        this.messages = history.map(({ role, content }) => ({ role, content }));
+        this.historyTransport = HISTORY_TRANSPORT.MESSAGES;
+        this.controller = null;
+
+        this.configure({ persona });
+    }
+
+    /**
+     * Change the backend, persona, system prompt or parameters
+     * @description Options left undefined are unchanged; takes effect on
+     * the next message
+     * @param {Object} options - Same as the constructor's, without history
+     */
+    configure({ endpoint, persona, systemPrompt, params } = {}) {
+        if (endpoint !== undefined) {
+            this.profile = createClientProfile(endpoint);
+
+            // A different backend may accept a different request shape
+            this.historyTransport = HISTORY_TRANSPORT.MESSAGES;
+        }
+        if (persona !== undefined) {
+            this.persona = DEFAULT_PERSONAS.find(item => item.id === persona) || DEFAULT_PERSONAS[0];
+        }
+        if (systemPrompt !== undefined) {
+            this.systemPrompt = systemPrompt;
+        }
+        if (params !== undefined) {
+            this.params = params;
+        }
+    }
+
+    /**
+     * The messages so far, oldest first
+     * @returns {Array<{role: string, content: string}>} A copy of the history
+     */
+    get history() {
+        return this.messages.map(message => ({ ...message }));
+    }
+
+    /**
+     * Whether a reply is streaming
+     * @returns {boolean} True until the current reply ends
+     */
+    get isStreaming() {
+        return this.controller !== null;
+    }
+
+    /**
+     * Send a message and stream the reply
+     * @description A failed request is reported with an "error" event
+     * @param {string} text - The user's message
+     * @returns {Promise<{role: string, content: string}>} The reply, also
+     * when aborted or failed (possibly empty)
+     * @throws {Error} If a reply is already streaming
+     */
+    async send(text) {
+        if (this.isStreaming) {
+            throw new Error("A reply is already streaming");
+        }
+
+        const message = { role: "user", content: text };
+        const reply = { role: "assistant", content: "" };
+        const controller = new AbortController();
+        let done = null;
+
+        // clear() swaps the array, so a reply still arriving is dropped with the rest
+        const history = this.messages;
+
+        history.push(message);
+        this.controller = controller;
+        this.emit("start", { message });
+
+        const systemPrompt = this.systemPrompt ?? this.persona.systemPrompt;
+        const messages = buildContextMessages(history, systemPrompt, this.profile.contextBudget);
+        const params = { ...DEFAULT_PARAMETERS, ...this.persona.params, ...this.params };
+        const wait = (delay, error, attempt, signal) => {
+            this.emit("retry", { error, attempt, delay });
+            return waitForDelay(delay, signal);
+        };
+
+        try {
+            const response = await sendConversation(this.profile, messages, params, {
+                signal: controller.signal,
+                session: this,
+                wait
+            });
+
+            try {
+                for await (const event of getProvider(this.profile).parseStream(response)) {
+                    if (event.type === "done") {
+                        done = event;
+                        continue;
+                    }
+
+                    reply.content += event.text;
+                    this.emit("token", { text: event.text, content: reply.content });
+                }
+            } catch (error) {
+                if (error.name === "AbortError") {
+                    throw error;
+                }
+                // Same classification as streamBotResponse
+                throw createRequestError(error.name === "TypeError" ? "truncated" : "server");
+            }
+        } catch (error) {
+            this.controller = null;
+
+            if (reply.content) {
+                history.push(reply);
+            }
+
+            if (error.name === "AbortError") {
+                this.emit("abort", { message: reply });
+                return reply;
+            }
+
+            const failure = error.kind ? error : createRequestError("unreachable");
+            this.emit("error", { error: failure, message: reply });
+            return reply;
+        }
+
+        this.controller = null;
+        history.push(reply);
+        this.emit("done", {
+            message: reply,
+            finishReason: done ? done.finishReason : null,
+            usage: done ? done.usage : null,
+            model: done ? done.model : null
+        });
+
+        return reply;
+    }
+
+    /**
+     * Stop the reply being streamed, keeping what arrived
+     */
+    abort() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Stop any reply and forget the history
+     */
+    clear() {
+        this.abort();
+        this.messages = [];
+    }
+
+    /**
+     * Dispatch a client event
+     * @param {string} type - The event type
+     * @param {Object} detail - The event's detail
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
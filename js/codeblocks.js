@@ -0,0 +1,363 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CODE BLOCKS
+   Toolbar for code in replies and sandboxed runs
+   ============================================ */
+
+/*
+ * Every finished code block in a reply gets a toolbar: the language, a wrap
+ * toggle, copy and download, and for JavaScript and HTML a run button.
+ *
+ * Code runs in an iframe with `sandbox="allow-scripts"` and no
+ * allow-same-origin, so it gets an opaque origin: it cannot read the app's
+ * storage, cookies or DOM. A small shim inside the frame forwards console
+ * calls and uncaught errors to the page with postMessage, where they are
+ * shown under the block.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * File extensions for downloaded code, by fence language
+ * @constant {Object<string, string>}
+ */
+const CODE_FILE_EXTENSIONS = {
+    bash: "sh", sh: "sh", shell: "sh", zsh: "sh",
+    c: "c", cpp: "cpp", "c++": "cpp", csharp: "cs", cs: "cs",
+    css: "css",
+    go: "go",
+    html: "html", xml: "xml", svg: "svg",
+    java: "java", kotlin: "kt", swift: "swift",
+    javascript: "js", js: "js", jsx: "jsx",
+    typescript: "ts", ts: "ts", tsx: "tsx",
+    json: "json",
+    markdown: "md", md: "md",
+    php: "php",
+    python: "py", py: "py",
+    r: "r",
+    ruby: "rb", rb: "rb",
+    rust: "rs", rs: "rs",
+    sql: "sql",
+    yaml: "yml", yml: "yml"
+};
+
+/**
+ * Fence languages that can be run, and how
+ * @constant {Object<string, string>}
+ */
+const RUNNABLE_LANGUAGES = {
+    javascript: "script",
+    js: "script",
+    html: "page"
+};
+
+/**
+ * How long "Copied" is shown on a copy button
+ * @constant {number}
+ */
+const CODE_COPY_FEEDBACK_DURATION = 1500;
+
+/**
+ * Marks messages posted by the run shim
+ * @constant {string}
+ */
+const CODE_RUN_MESSAGE_SOURCE = "qlm-code-run";
+
+/* ============================================
+   TOOLBAR
+   ============================================ */
+
+// Active runs by id: { frame, output }
+const codeRuns = new Map();
+
+/**
+ * Add toolbars to the code blocks in an element
+ * @description Blocks that already have one are skipped, and so are display
+ * math placeholders, which typesetMath replaces once KaTeX has loaded
+ * @param {HTMLElement|DocumentFragment} element - Rendered markdown
+ */
+function enhanceCodeBlocks(element) {
+    element.querySelectorAll("pre > code").forEach(code => {
+        const pre = code.parentElement;
+
+        if (code.classList.contains("language-math")) {
+            return;
+        }
+
+        if (pre.parentElement && pre.parentElement.classList.contains("code-block")) {
+            return;
+        }
+
+        const language = getCodeLanguage(code);
+        const wrapper = document.createElement("div");
+        wrapper.className = "code-block";
+        wrapper.dataset.language = language;
+
+        const toolbar = document.createElement("div");
+        toolbar.className = "code-toolbar";
+
+        const label = document.createElement("span");
+        label.className = "code-language";
+        label.textContent = language || "text";
+        toolbar.appendChild(label);
+
+        const addButton = (action, text, title) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "code-toolbar-btn";
+            button.dataset.codeAction = action;
+            button.textContent = text;
+            button.title = title;
+            toolbar.appendChild(button);
+            return button;
+        };
+
+        addButton("wrap", "Wrap", "Wrap long lines").setAttribute("aria-pressed", "false");
+        addButton("copy", "Copy", "Copy code");
+        addButton("download", "Download", `Download as .${getCodeExtension(language)}`);
+
+        if (RUNNABLE_LANGUAGES[language]) {
+            addButton("run", "Run", "Run in a sandbox");
+        }
+
+        pre.replaceWith(wrapper);
+        wrapper.appendChild(toolbar);
+        wrapper.appendChild(pre);
+    });
+}
+
+/**
+ * Read a code block's fence language
+ * @param {HTMLElement} code - The code element
+ * @returns {string} Lowercase language, or "" if none was given
+ */
+function getCodeLanguage(code) {
+    const match = code.className.match(/(?:^|\s)language-(\S+)/);
+    return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Pick a file extension for a language
+ * @param {string} language - Fence language
+ * @returns {string} The extension without the dot
+ */
+function getCodeExtension(language) {
+    return CODE_FILE_EXTENSIONS[language] || "txt";
+}
+
+/**
+ * Copy a block's code and confirm on the button
+ * @param {HTMLElement} block - The .code-block element
+ * @param {HTMLButtonElement} button - The copy button
+ */
+async function copyCodeBlock(block, button) {
+    try {
+        await navigator.clipboard.writeText(block.querySelector("code").textContent);
+        button.textContent = "Copied";
+    } catch (error) {
+        console.error("Failed to copy code:", error);
+        button.textContent = "Failed";
+    }
+
+    setTimeout(() => {
+        button.textContent = "Copy";
+    }, CODE_COPY_FEEDBACK_DURATION);
+}
+
+/**
+ * Download a block's code as a file
+ * @param {HTMLElement} block - The .code-block element
+ */
+function downloadCodeBlock(block) {
+    const extension = getCodeExtension(block.dataset.language);
+    downloadFile(`snippet.${extension}`, block.querySelector("code").textContent, "text/plain");
+}
+
+/**
+ * Toggle line wrapping for a block
+ * @param {HTMLElement} block - The .code-block element
+ * @param {HTMLButtonElement} button - The wrap button
+ */
+function toggleCodeWrap(block, button) {
+    const wrapped = block.classList.toggle("wrapped");
+    button.setAttribute("aria-pressed", String(wrapped));
+}
+
+/* ============================================
+   SANDBOXED RUNS
+   ============================================ */
+
+/**
+ * Build the document loaded into the sandbox
+ * @description The code is passed as a JSON string and evaluated by the
+ * shim, so nothing in it can close the surrounding script tag
+ * @param {string} runId - Id echoed back with every message
+ * @param {string} kind - "script" or "page"
+ * @param {string} code - The code to run
+ * @returns {string} HTML for the iframe's srcdoc
+ */
+function buildRunDocument(runId, kind, code) {
+    const shim = `
+        (() => {
+            const send = (level, args) => parent.postMessage({
+                source: ${JSON.stringify(CODE_RUN_MESSAGE_SOURCE)},
+                runId: ${JSON.stringify(runId)},
+                level,
+                text: args.map(arg => {
+                    if (typeof arg === "string") {
+                        return arg;
+                    }
+                    if (arg instanceof Error) {
+                        return arg.stack || String(arg);
+                    }
+                    try {
+                        return JSON.stringify(arg);
+                    } catch (error) {
+                        return String(arg);
+                    }
+                }).join(" ")
+            }, "*");
+            ["log", "info", "warn", "error", "debug"].forEach(level => {
+                console[level] = (...args) => send(level, args);
+            });
+            addEventListener("error", event => send("error", [event.error || event.message]));
+            addEventListener("unhandledrejection", event => send("error", ["Unhandled rejection:", event.reason]));
+        })();
+    `;
+
+    const safe = text => text.replace(/</g, "\\u003c");
+
+    if (kind === "script") {
+        return `<!DOCTYPE html><script>${shim}</script><script>(0, eval)(${safe(JSON.stringify(code))});</script>`;
+    }
+
+    return `<!DOCTYPE html><script>${shim}</script>${code}`;
+}
+
+/**
+ * Run a block in a sandboxed iframe
+ * @description Running again replaces the previous run
+ * @param {HTMLElement} block - The .code-block element
+ */
+function runCodeBlock(block) {
+    stopCodeRun(block);
+
+    const kind = RUNNABLE_LANGUAGES[block.dataset.language];
+    const runId = generateId();
+
+    const output = document.createElement("div");
+    output.className = "code-output";
+
+    const header = document.createElement("div");
+    header.className = "code-output-header";
+
+    const title = document.createElement("span");
+    title.textContent = kind === "page" ? "Preview & console" : "Console";
+
+    const closeBtn = document.createElement("button");
+    closeBtn.type = "button";
+    closeBtn.className = "code-toolbar-btn";
+    closeBtn.dataset.codeAction = "stop";
+    closeBtn.textContent = "Close";
+
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    output.appendChild(header);
+
+    const frame = document.createElement("iframe");
+    frame.className = kind === "page" ? "code-frame" : "code-frame hidden";
+    frame.setAttribute("sandbox", "allow-scripts");
+    frame.title = "Code output";
+    frame.srcdoc = buildRunDocument(runId, kind, block.querySelector("code").textContent);
+
+    const log = document.createElement("div");
+    log.className = "code-console";
+    log.setAttribute("role", "log");
+
+    output.appendChild(frame);
+    output.appendChild(log);
+    block.appendChild(output);
+
+    block.dataset.runId = runId;
+    codeRuns.set(runId, { frame, log });
+}
+
+/**
+ * Stop a block's run and remove its output
+ * @param {HTMLElement} block - The .code-block element
+ */
+function stopCodeRun(block) {
+    const { runId } = block.dataset;
+
+    if (runId) {
+        codeRuns.delete(runId);
+        delete block.dataset.runId;
+    }
+
+    block.querySelectorAll(".code-output").forEach(node => node.remove());
+}
+
+/**
+ * Show console output posted by a sandbox
+ * @param {MessageEvent} event - The message event
+ */
+function handleCodeRunMessage(event) {
+    const data = event.data;
+
+    if (!data || data.source !== CODE_RUN_MESSAGE_SOURCE) {
+        return;
+    }
+
+    const run = codeRuns.get(data.runId);
+
+    // Only the frame the run was started in may write to its console
+    if (!run || event.source !== run.frame.contentWindow) {
+        return;
+    }
+
+    if (!run.log.isConnected) {
+        codeRuns.delete(data.runId);
+        return;
+    }
+
+    const line = document.createElement("div");
+    line.className = `code-console-line ${data.level}`;
+    line.textContent = String(data.text);
+    run.log.appendChild(line);
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Handle clicks on code block toolbars in the messages area
+ * @param {MouseEvent} event - The click event
+ */
+function handleCodeToolbarClick(event) {
+    const button = event.target.closest("[data-code-action]");
+    const block = button && button.closest(".code-block");
+
+    if (!block) {
+        return;
+    }
+
+    switch (button.dataset.codeAction) {
+        case "copy":
+            copyCodeBlock(block, button);
+            break;
+        case "download":
+            downloadCodeBlock(block);
+            break;
+        case "wrap":
+            toggleCodeWrap(block, button);
+            break;
+        case "run":
+            runCodeBlock(block);
+            break;
+        case "stop":
+            stopCodeRun(block);
+            break;
+    }
+}
@@ -0,0 +1,463 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - SLASH COMMANDS
+   Input commands with autocomplete
+   ============================================ */
+
+/*
+ * A message whose first word names a registered command ("/temp 0.7") runs
+ * the command instead of being sent. Anything else starting with a slash,
+ * like a file path, is sent as usual. New commands are added with
+ * registerSlashCommand:
+ *
+ *   registerSlashCommand({
+ *       name: "shout",
+ *       args: "<text>",
+ *       description: "Send a message in capitals",
+ *       run: text => sendMessage(text.toUpperCase())
+ *   });
+ *
+ * `run` receives the text after the command name and may be async; an Error
+ * it throws is shown in the chat. `complete` optionally lists argument
+ * values for the autocomplete popup.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * How long a command's confirmation stays visible
+ * @constant {number}
+ */
+const COMMAND_STATUS_DURATION = 3000;
+
+/**
+ * Export formats accepted by /export
+ * @constant {Object<string, string>}
+ */
+const COMMAND_EXPORT_FORMATS = {
+    md: "markdown",
+    json: "json",
+    html: "html"
+};
+
+/* ============================================
+   REGISTRY
+   ============================================ */
+
+// Registered commands by name
+const slashCommands = new Map();
+
+// Entries of the autocomplete popup and the highlighted one
+let commandSuggestions = [];
+let commandSuggestionIndex = 0;
+let commandStatusTimer = null;
+
+/**
+ * Register a slash command
+ * @description Replaces an existing command of the same name
+ * @param {Object} command - The command
+ * @param {string} command.name - Name typed after the slash (lowercase)
+ * @param {string} [command.args] - Argument hint, e.g. "<n>"
+ * @param {string} command.description - One line shown in the popup
+ * @param {function(string): (void|Promise)} command.run - Runs the command
+ * with the argument text
+ * @param {function(string): Array<string>} [command.complete] - Argument
+ * values to suggest for the text typed so far
+ */
+function registerSlashCommand({ name, args = "", description, run, complete = null }) {
+    if (!/^[a-z][a-z0-9-]*$/.test(name) || typeof run !== "function") {
+        throw new Error(`Invalid slash command "${name}".`);
+    }
+
+    slashCommands.set(name, { name, args, description, run, complete });
+}
+
+/**
+ * Split input into a command and its argument text
+ * @param {string} text - The input
+ * @returns {{command: Object, args: string}|null} The command, or null if the
+ * input does not start with a registered one
+ */
+function parseSlashCommand(text) {
+    const match = text.match(/^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i);
+    const command = match && slashCommands.get(match[1].toLowerCase());
+
+    return command ? { command, args: (match[2] || "").trim() } : null;
+}
+
+/**
+ * Run the input as a slash command if it is one
+ * @param {string} text - The input
+ * @returns {boolean} True if a command was run
+ */
+function runSlashCommand(text) {
+    const parsed = parseSlashCommand(text);
+
+    if (!parsed) {
+        return false;
+    }
+
+    hideCommandMenu();
+
+    Promise.resolve()
+        .then(() => parsed.command.run(parsed.args))
+        .catch(error => {
+            console.error(`/${parsed.command.name} failed:`, error);
+            showError(error.message);
+        });
+
+    return true;
+}
+
+/* ============================================
+   BUILT-IN COMMANDS
+   ============================================ */
+
+/**
+ * Register the built-in commands
+ */
+function initializeCommands() {
+    registerSlashCommand({
+        name: "clear",
+        description: "Start a new conversation",
+        run: () => handleClearChat()
+    });
+
+    registerSlashCommand({
+        name: "system",
+        args: "<text>",
+        description: "Set this conversation's system prompt (empty to reset)",
+        run: text => {
+            const conversation = state.activeConversation;
+
+            if (text) {
+                conversation.systemPrompt = text;
+            } else {
+                delete conversation.systemPrompt;
+            }
+
+            saveConversationParams();
+            renderPersona();
+            showCommandStatus(text
+                ? "System prompt set for this conversation"
+                : `System prompt reset to ${getConversationPersona().name}'s`);
+        }
+    });
+
+    registerSlashCommand({
+        name: "temp",
+        args: "<0–2>",
+        description: "Set the temperature",
+        run: text => setParamFromCommand("temperature", text, "Temperature")
+    });
+
+    registerSlashCommand({
+        name: "max",
+        args: "<tokens>",
+        description: "Set the maximum reply length",
+        run: text => setParamFromCommand("max_tokens", text, "Max tokens")
+    });
+
+    registerSlashCommand({
+        name: "export",
+        args: "<md|json|html>",
+        description: "Download this conversation",
+        complete: () => Object.keys(COMMAND_EXPORT_FORMATS),
+        run: text => {
+            const format = COMMAND_EXPORT_FORMATS[(text || "md").toLowerCase()];
+
+            if (!format) {
+                throw new Error(`Unknown export format "${text}". Use md, json or html.`);
+            }
+            if (!exportConversation(format)) {
+                throw new Error("Nothing to export yet — send a message first.");
+            }
+        }
+    });
+
+    registerSlashCommand({
+        name: "retry",
+        description: "Generate the last reply again",
+        run: () => {
+            const leaf = getActiveLeaf(state.activeConversation);
+
+            if (state.isStreaming) {
+                throw new Error("Wait for the current reply to finish.");
+            }
+            if (!leaf) {
+                throw new Error("Nothing to retry yet.");
+            }
+
+            if (leaf.role === "assistant") {
+                return regenerateMessage(leaf.id);
+            }
+
+            // The last prompt never got a reply
+            showTypingIndicator();
+            return streamBotResponse();
+        }
+    });
+
+    registerSlashCommand({
+        name: "persona",
+        args: "<name>",
+        description: "Switch persona (no name opens the manager)",
+        complete: () => state.personas.map(persona => persona.name),
+        run: text => {
+            if (!text) {
+                openPersonaManager();
+                return;
+            }
+
+            const name = text.toLowerCase();
+            const persona = state.personas.find(item => item.name.toLowerCase() === name) ||
+                state.personas.find(item => item.name.toLowerCase().startsWith(name));
+
+            if (!persona) {
+                throw new Error(`No persona named "${text}".`);
+            }
+
+            selectPersona(persona.id);
+            showCommandStatus(`Persona: ${persona.icon} ${persona.name}`);
+        }
+    });
+}
+
+/**
+ * Set a numeric generation parameter from command input
+ * @param {string} name - The parameter name
+ * @param {string} text - The typed value
+ * @param {string} label - Name shown in messages
+ * @throws {Error} If the value is not a number in range
+ */
+function setParamFromCommand(name, text, label) {
+    const { min, max } = PARAMETER_LIMITS[name];
+    const value = name === "max_tokens" ? parseInt(text, 10) : parseFloat(text);
+
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${label} must be a number from ${min} to ${max}.`);
+    }
+
+    setConversationParam(name, value);
+    saveConversationParams();
+    showCommandStatus(`${label} set to ${value}`);
+}
+
+/* ============================================
+   AUTOCOMPLETE
+   ============================================ */
+
+/**
+ * Work out what the popup should offer for the current input
+ * @description While the command name is typed, matching commands are
+ * listed; after it, argument values or a usage hint
+ * @param {string} text - The input
+ * @returns {Array<{value: string|null, label: string, args: string, description: string, complete: boolean}>}
+ * Entries; `value` replaces the input when picked (null for hints) and
+ * `complete` means the result can run as is
+ */
+function getCommandSuggestions(text) {
+    if (!text.startsWith("/") || text.includes("\n")) {
+        return [];
+    }
+
+    const space = text.search(/\s/);
+
+    if (space === -1) {
+        const prefix = text.slice(1).toLowerCase();
+
+        return [...slashCommands.values()]
+            .filter(command => command.name.startsWith(prefix))
+            .map(command => ({
+                value: command.args ? `/${command.name} ` : `/${command.name}`,
+                label: `/${command.name}`,
+                args: command.args,
+                description: command.description,
+                complete: !command.args
+            }));
+    }
+
+    const command = slashCommands.get(text.slice(1, space).toLowerCase());
+
+    if (!command) {
+        return [];
+    }
+
+    const typed = text.slice(space).trim();
+    const options = (command.complete ? command.complete(typed) : [])
+        .filter(option => option.toLowerCase().startsWith(typed.toLowerCase()));
+
+    if (options.length > 0) {
+        return options.map(option => ({
+            value: `/${command.name} ${option}`,
+            label: option,
+            args: "",
+            description: "",
+            complete: true
+        }));
+    }
+
+    return [{ value: null, label: `/${command.name}`, args: command.args, description: command.description, complete: false }];
+}
+
+/**
+ * Update the popup for the current input
+ */
+function updateCommandMenu() {
+    commandSuggestions = getCommandSuggestions(elements.messageInput.value);
+    commandSuggestionIndex = 0;
+    renderCommandMenu();
+}
+
+/**
+ * Hide the autocomplete popup
+ */
+function hideCommandMenu() {
+    commandSuggestions = [];
+    renderCommandMenu();
+}
+
+/**
+ * Render the autocomplete popup
+ */
+function renderCommandMenu() {
+    const menu = elements.commandMenu;
+    menu.innerHTML = "";
+    menu.classList.toggle("hidden", commandSuggestions.length === 0);
+    elements.messageInput.setAttribute("aria-expanded", String(commandSuggestions.length > 0));
+    elements.messageInput.removeAttribute("aria-activedescendant");
+
+    commandSuggestions.forEach((suggestion, index) => {
+        const item = document.createElement("div");
+        item.className = suggestion.value === null ? "command-menu-item command-menu-hint" : "command-menu-item";
+        item.id = `command-option-${index}`;
+        item.dataset.index = index;
+
+        if (suggestion.value !== null) {
+            const active = index === commandSuggestionIndex;
+            item.setAttribute("role", "option");
+            item.setAttribute("aria-selected", String(active));
+            item.classList.toggle("active", active);
+
+            if (active) {
+                elements.messageInput.setAttribute("aria-activedescendant", item.id);
+            }
+        }
+
+        const label = document.createElement("span");
+        label.className = "command-name";
+        label.textContent = suggestion.label;
+        item.appendChild(label);
+
+        if (suggestion.args) {
+            const args = document.createElement("span");
+            args.className = "command-args";
+            args.textContent = suggestion.args;
+            item.appendChild(args);
+        }
+
+        if (suggestion.description) {
+            const description = document.createElement("span");
+            description.className = "command-description";
+            description.textContent = suggestion.description;
+            item.appendChild(description);
+        }
+
+        menu.appendChild(item);
+    });
+}
+
+/**
+ * Put a suggestion into the input
+ * @param {Object} suggestion - The picked entry
+ * @param {boolean} run - Run it right away if it is complete
+ */
+function acceptCommandSuggestion(suggestion, run) {
+    elements.messageInput.value = suggestion.value;
+    elements.messageInput.focus();
+    handleInputChange();
+
+    if (run && suggestion.complete) {
+        handleSendMessage();
+    } else {
+        updateCommandMenu();
+    }
+}
+
+/**
+ * Show a command's confirmation under the input
+ * @param {string} text - The message
+ */
+function showCommandStatus(text) {
+    clearTimeout(commandStatusTimer);
+    elements.commandStatus.textContent = text;
+    commandStatusTimer = setTimeout(() => {
+        elements.commandStatus.textContent = "";
+    }, COMMAND_STATUS_DURATION);
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Handle keys while the popup is open
+ * @description Arrows move the highlight, Tab completes, Enter completes or
+ * runs, Esc closes the popup without clearing the input
+ * @param {KeyboardEvent} event - The keydown event from the message input
+ * @returns {boolean} True if the key was handled
+ */
+function handleCommandMenuKey(event) {
+    const selectable = commandSuggestions.filter(suggestion => suggestion.value !== null);
+
+    if (event.key === "Escape" && commandSuggestions.length > 0) {
+        event.preventDefault();
+        event.stopPropagation();
+        hideCommandMenu();
+        return true;
+    }
+
+    if (selectable.length === 0) {
+        return false;
+    }
+
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        commandSuggestionIndex = (commandSuggestionIndex + step + selectable.length) % selectable.length;
+        renderCommandMenu();
+        return true;
+    }
+
+    const suggestion = selectable[commandSuggestionIndex];
+
+    if (event.key === "Tab" && !event.shiftKey) {
+        event.preventDefault();
+        acceptCommandSuggestion(suggestion, false);
+        return true;
+    }
+
+    // Enter on something already typed out falls through to sending
+    if (event.key === "Enter" && !event.shiftKey && suggestion.value !== elements.messageInput.value) {
+        event.preventDefault();
+        acceptCommandSuggestion(suggestion, true);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Handle clicks on popup entries
+ * @description Uses mousedown so the input keeps focus
+ * @param {MouseEvent} event - The mousedown event
+ */
+function handleCommandMenuMouseDown(event) {
+    const item = event.target.closest(".command-menu-item[role='option']");
+    event.preventDefault();
+
+    if (item) {
+        acceptCommandSuggestion(commandSuggestions[item.dataset.index], true);
+    }
+}
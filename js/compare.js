@@ -0,0 +1,426 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - COMPARE MODE
+   One prompt, several endpoints, side by side
+   ============================================ */
+
+/*
+ * Compare mode sends one prompt, with the active conversation as context, to
+ * two or more endpoint profiles at once and streams the replies into
+ * side-by-side columns. Each column has its own stop button and shows its
+ * latency and length when done.
+ *
+ * Nothing is added to the conversation until an answer is marked as better.
+ * The prompt and every reply are then added as sibling branches, with the
+ * better reply selected and `preferredOver` on it listing the others' ids.
+ * Marking another column afterwards moves the selection.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Fewest endpoints a comparison needs
+ * @constant {number}
+ */
+const COMPARE_MIN_ENDPOINTS = 2;
+
+/* ============================================
+   COMPARISON
+   ============================================ */
+
+// The latest comparison:
+// { conversation, parentId, prompt, sources, promptNodeId, columns }
+let comparison = null;
+
+// Profiles checked in the endpoint list, remembered between comparisons
+let compareProfileIds = [];
+
+/**
+ * Register the /compare command
+ */
+function initializeCompare() {
+    registerSlashCommand({
+        name: "compare",
+        args: "[prompt]",
+        description: "Send a prompt to several endpoints side by side",
+        run: text => openComparePanel(text)
+    });
+}
+
+/**
+ * Send a prompt to every selected profile
+ * @param {string} prompt - The prompt
+ * @param {Array<Object>} profiles - Endpoint profiles to compare
+ */
+function startComparison(prompt, profiles) {
+    stopComparison();
+
+    const conversation = state.activeConversation;
+    const parent = getActiveLeaf(conversation);
+    const transcript = [...getActivePath(conversation), { role: "user", content: prompt }];
+
+    const sources = searchDocuments(state.attachments, prompt);
+    const systemPrompt = [getConversationSystemPrompt(conversation), buildSourcesPrompt(sources)].filter(Boolean).join("\n\n");
+    const params = getConversationParams(conversation);
+
+    elements.compareColumns.innerHTML = "";
+
+    comparison = {
+        conversation,
+        parentId: parent ? parent.id : null,
+        prompt,
+        sources,
+        systemPrompt,
+        promptNodeId: null,
+        columns: profiles.map(createCompareColumn)
+    };
+
+    elements.compareStatus.textContent = `Comparing ${profiles.length} endpoints…`;
+    comparison.columns.forEach(column => {
+        const messages = buildContextMessages(transcript, systemPrompt, column.profile.contextBudget);
+        streamCompareColumn(column, messages, params);
+    });
+}
+
+/**
+ * Stream one profile's reply into its column
+ * @param {Object} column - The column
+ * @param {Array<{role: string, content: string}>} messages - Context messages to send
+ * @param {Object} params - Generation parameters
+ */
+async function streamCompareColumn(column, messages, params) {
+    const { profile } = column;
+    const metrics = createMetricsRecorder(profile);
+    const renderer = createStreamRenderer(column.output);
+    let done = null;
+
+    column.controller = new AbortController();
+    column.state.textContent = "Waiting…";
+
+    try {
+        const response = await postConversation(profile, messages, params, column.controller.signal);
+        metrics.markResponse();
+        column.state.textContent = "Streaming…";
+
+        for await (const event of getProvider(profile).parseStream(response)) {
+            if (event.type === "done") {
+                done = event;
+                continue;
+            }
+
+            metrics.markChunk();
+            column.text += event.text;
+            renderer.append(event.text);
+        }
+    } catch (error) {
+        if (error.name === "AbortError") {
+            column.stopped = true;
+        } else {
+            // Same classification as streamBotResponse: a dropped connection
+            // surfaces as a TypeError from the body reader
+            console.error(`Compare request to ${profile.name} failed:`, error);
+            column.error = error.kind ? error : createRequestError(error.name === "TypeError" ? "truncated" : "server");
+        }
+    } finally {
+        renderer.finish();
+        column.controller = null;
+
+        if (column.text) {
+            column.metrics = metrics.finish(column.text, done);
+            column.finishReason = done ? done.finishReason : null;
+            recordSessionMetrics(column.metrics);
+        }
+
+        renderCompareColumnResult(column);
+        updateCompareStatus();
+    }
+}
+
+/**
+ * Stop every column that is still streaming
+ */
+function stopComparison() {
+    if (comparison) {
+        comparison.columns.forEach(column => column.controller && column.controller.abort());
+    }
+}
+
+/**
+ * Keep the compared replies in the conversation, preferring one
+ * @description The first mark adds the prompt and all replies as branches;
+ * later marks only move the selection and the preference
+ * @param {Object} column - The better column
+ */
+function markBetterAnswer(column) {
+    const { conversation } = comparison;
+
+    if (state.isStreaming) {
+        elements.compareStatus.textContent = "Wait for the current reply to finish.";
+        return;
+    }
+
+    // A chat that was never saved only lives on while it is open, so one
+    // that is neither open nor in the library has been deleted
+    if (!state.conversations.includes(conversation) && conversation !== state.activeConversation) {
+        elements.compareStatus.textContent = "The conversation this comparison belongs to was deleted.";
+        return;
+    }
+
+    if (!comparison.promptNodeId) {
+        const promptNode = addMessageNode(conversation, comparison.parentId, "user", comparison.prompt);
+        comparison.promptNodeId = promptNode.id;
+
+        comparison.columns.filter(item => item.text).forEach(item => {
+            const node = addMessageNode(conversation, promptNode.id, "assistant", item.text);
+            node.metrics = item.metrics;
+            node.systemPrompt = comparison.systemPrompt;
+
+            if (item.finishReason) {
+                node.finishReason = item.finishReason;
+            }
+
+            if (comparison.sources.length > 0) {
+                node.sources = comparison.sources;
+            }
+
+            item.nodeId = node.id;
+        });
+    }
+
+    comparison.columns.filter(item => item.nodeId).forEach(item => {
+        const isBetter = item === column;
+        const node = conversation.nodes[item.nodeId];
+
+        if (isBetter) {
+            node.preferredOver = comparison.columns
+                .filter(other => other.nodeId && other !== column)
+                .map(other => other.nodeId);
+        } else {
+            delete node.preferredOver;
+        }
+
+        item.element.classList.toggle("better", isBetter);
+        item.markBtn.setAttribute("aria-pressed", String(isBetter));
+        item.markBtn.textContent = isBetter ? "✓ Better" : "Mark better";
+    });
+
+    setSelectedChild(conversation, comparison.promptNodeId, column.nodeId);
+
+    if (conversation === state.activeConversation) {
+        renderActiveConversation();
+    }
+    saveConversation(conversation);
+    renderConversationList();
+
+    elements.compareStatus.textContent = `Kept in the conversation with ${column.profile.name} selected.`;
+}
+
+/* ============================================
+   COMPARE PANEL
+   ============================================ */
+
+/**
+ * Open the compare panel
+ * @param {string} [prompt] - Prompt to fill in; defaults to the message input
+ */
+function openComparePanel(prompt = "") {
+    renderCompareEndpoints();
+
+    if (prompt || !elements.comparePromptInput.value) {
+        elements.comparePromptInput.value = prompt || elements.messageInput.value.trim();
+    }
+
+    elements.comparePanel.classList.remove("hidden");
+    elements.comparePromptInput.focus();
+}
+
+/**
+ * Close the compare panel, stopping any replies still streaming
+ */
+function closeComparePanel() {
+    stopComparison();
+    elements.comparePanel.classList.add("hidden");
+}
+
+/**
+ * List the endpoint profiles as checkboxes
+ * @description The active profile and the next one are checked the first time
+ */
+function renderCompareEndpoints() {
+    const list = elements.compareEndpoints;
+    list.innerHTML = "";
+
+    if (compareProfileIds.length === 0) {
+        compareProfileIds = [
+            state.activeProfile.id,
+            ...state.profiles.map(profile => profile.id).filter(id => id !== state.activeProfile.id)
+        ].slice(0, COMPARE_MIN_ENDPOINTS);
+    }
+
+    state.profiles.forEach(profile => {
+        const label = document.createElement("label");
+        label.className = "compare-endpoint";
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.value = profile.id;
+        checkbox.checked = compareProfileIds.includes(profile.id);
+
+        const name = document.createElement("span");
+        name.textContent = profile.model ? `${profile.name} · ${profile.model}` : profile.name;
+
+        label.appendChild(checkbox);
+        label.appendChild(name);
+        list.appendChild(label);
+    });
+}
+
+/**
+ * Build an empty column for a profile
+ * @param {Object} profile - The endpoint profile
+ * @returns {Object} The column: its elements and reply state
+ */
+function createCompareColumn(profile) {
+    const element = document.createElement("section");
+    element.className = "compare-column";
+
+    const header = document.createElement("div");
+    header.className = "compare-column-header";
+
+    const name = document.createElement("span");
+    name.className = "compare-column-name";
+    name.textContent = profile.model ? `${profile.name} · ${profile.model}` : profile.name;
+    name.title = name.textContent;
+
+    const stopBtn = document.createElement("button");
+    stopBtn.type = "button";
+    stopBtn.className = "code-toolbar-btn";
+    stopBtn.textContent = "Stop";
+
+    header.appendChild(name);
+    header.appendChild(stopBtn);
+
+    const output = document.createElement("div");
+    output.className = "message-bubble compare-output";
+
+    const footer = document.createElement("div");
+    footer.className = "compare-column-footer";
+
+    const stateLabel = document.createElement("span");
+    stateLabel.className = "compare-column-stats";
+
+    const markBtn = document.createElement("button");
+    markBtn.type = "button";
+    markBtn.className = "secondary-btn hidden";
+    markBtn.textContent = "Mark better";
+    markBtn.setAttribute("aria-pressed", "false");
+
+    footer.appendChild(stateLabel);
+    footer.appendChild(markBtn);
+
+    element.appendChild(header);
+    element.appendChild(output);
+    element.appendChild(footer);
+    elements.compareColumns.appendChild(element);
+
+    const column = {
+        profile,
+        element,
+        output,
+        state: stateLabel,
+        stopBtn,
+        markBtn,
+        controller: null,
+        text: "",
+        metrics: null,
+        error: null,
+        stopped: false,
+        finishReason: null,
+        nodeId: null
+    };
+
+    stopBtn.addEventListener("click", () => column.controller && column.controller.abort());
+    markBtn.addEventListener("click", () => markBetterAnswer(column));
+
+    return column;
+}
+
+/**
+ * Show a finished column's latency and length, or why it has none
+ * @param {Object} column - The column
+ */
+function renderCompareColumnResult(column) {
+    const { metrics } = column;
+    const parts = [];
+
+    if (column.error) {
+        parts.push(`⚠️ ${column.error.message}`);
+    } else if (column.stopped) {
+        parts.push("Stopped");
+    } else if (column.finishReason === "length") {
+        parts.push("Cut off at the length limit");
+    }
+
+    if (metrics) {
+        parts.push(
+            `${formatDuration(metrics.firstToken)} to first token`,
+            `${formatDuration(metrics.duration)} total`,
+            `${column.text.length} chars (${formatTokenCount(metrics)} tok)`
+        );
+        column.state.title = [
+            `Latency ${formatDuration(metrics.latency)}`,
+            formatRate(metrics.tokensPerSecond)
+        ].join(" · ");
+    } else if (!column.error && !column.stopped) {
+        parts.push("Empty reply");
+    }
+
+    column.state.textContent = parts.join(" · ");
+    column.stopBtn.classList.add("hidden");
+}
+
+/**
+ * Offer marking once every column has finished
+ */
+function updateCompareStatus() {
+    if (comparison.columns.some(column => column.controller)) {
+        return;
+    }
+
+    const answered = comparison.columns.filter(column => column.text);
+
+    answered.forEach(column => column.markBtn.classList.remove("hidden"));
+
+    elements.compareStatus.textContent = answered.length > 0
+        ? "Mark the better answer to keep the replies in this conversation."
+        : "No endpoint replied.";
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Start a comparison from the panel's form
+ * @param {SubmitEvent} event - The submit event
+ */
+function handleCompareSubmit(event) {
+    event.preventDefault();
+
+    const prompt = elements.comparePromptInput.value.trim();
+    compareProfileIds = [...elements.compareEndpoints.querySelectorAll("input:checked")].map(input => input.value);
+    const profiles = state.profiles.filter(profile => compareProfileIds.includes(profile.id));
+
+    if (state.isStreaming) {
+        elements.compareStatus.textContent = "Wait for the current reply to finish.";
+    } else if (profiles.length < COMPARE_MIN_ENDPOINTS) {
+        elements.compareStatus.textContent = `Pick at least ${COMPARE_MIN_ENDPOINTS} endpoints (add more in Settings).`;
+    } else if (!prompt) {
+        elements.compareStatus.textContent = "Enter a prompt to compare.";
+    } else if (prompt.length > MAX_MESSAGE_LENGTH) {
+        elements.compareStatus.textContent = `Prompt too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`;
+    } else {
+        startComparison(prompt, profiles);
+    }
+}
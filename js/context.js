@@ -0,0 +1,232 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CONVERSATION CONTEXT
+   Builds the multi-turn history sent to the backend
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Default token budget for the history sent with each request
+ * @constant {number}
+ * @description Each endpoint profile can override it. Mistral-7B-Instruct has a 32k window, but the Colab T4 runs out
+ * of memory long before that. Keep this well under what the GPU can hold.
+ */
+const CONTEXT_TOKEN_BUDGET = 2048;
+
+/**
+ * Smallest budget a profile may set
+ * @constant {number}
+ * @description Below this even one short exchange gets summarized away
+ */
+const MIN_CONTEXT_TOKEN_BUDGET = 256;
+
+/**
+ * Rough characters-per-token ratio used for estimation
+ * @constant {number}
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Maximum characters kept from each turn when summarizing trimmed history
+ * @constant {number}
+ */
+const SUMMARY_SNIPPET_LENGTH = 120;
+
+/**
+ * Share of the budget the summary of trimmed turns may use
+ * @constant {number}
+ */
+const SUMMARY_BUDGET_RATIO = 0.25;
+
+/* ============================================
+   TOKEN ESTIMATION
+   ============================================ */
+
+/**
+ * Estimate the token count of a piece of text
+ * @description Cheap heuristic; good enough for budgeting without a tokenizer
+ * @param {string} text - The text to measure
+ * @returns {number} Approximate number of tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the token count of a list of messages
+ * @param {Array<{role: string, content: string}>} messages - The messages to measure
+ * @returns {number} Approximate number of tokens
+ */
+function estimateMessagesTokens(messages) {
+    // A few tokens per turn for the role markers / [INST] tags
+    return messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+/* ============================================
+   HISTORY TRIMMING & SUMMARIZATION
+   ============================================ */
+
+/**
+ * Build the messages array for a request
+ * @description Keeps the most recent turns that fit the budget and folds the
+ * older ones into a short summary so the model keeps the gist. The system
+ * prompt and summary share a single leading system message.
+ * @param {Array<{role: string, content: string}>} transcript - Full conversation transcript
+ * @param {string} [systemPrompt] - Persona system prompt to lead with
+ * @param {number} [budget] - Token budget for the returned messages
+ * @returns {Array<{role: string, content: string}>} Messages to send, oldest first
+ */
+function buildContextMessages(transcript, systemPrompt = "", budget = CONTEXT_TOKEN_BUDGET) {
+    const turns = mergeConsecutiveTurns(transcript);
+    const withSystem = (summary, messages) => {
+        const system = [systemPrompt, summary && summary.content].filter(Boolean).join("\n\n");
+        return system ? [{ role: "system", content: system }, ...messages] : messages;
+    };
+
+    const turnBudget = budget - estimateTokens(systemPrompt);
+
+    if (estimateMessagesTokens(turns) <= turnBudget) {
+        return withSystem(null, turns);
+    }
+
+    // Walk backwards, always keeping the latest turn
+    const recentBudget = Math.floor(turnBudget * (1 - SUMMARY_BUDGET_RATIO));
+    const kept = [];
+    let used = 0;
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const cost = estimateMessagesTokens([turns[i]]);
+        if (kept.length > 0 && used + cost > recentBudget) {
+            break;
+        }
+        kept.unshift(turns[i]);
+        used += cost;
+    }
+
+    // Models expect the history to open with a user turn
+    while (kept.length > 1 && kept[0].role !== "user") {
+        kept.shift();
+    }
+
+    const trimmed = turns.slice(0, turns.length - kept.length);
+    const summary = summarizeTurns(trimmed, turnBudget - estimateMessagesTokens(kept));
+
+    return withSystem(summary, kept);
+}
+
+/**
+ * Summarize trimmed turns into a single system message
+ * @description Extractive summary: the start of each turn, newest turns
+ * preferred when the summary itself would exceed its budget
+ * @param {Array<{role: string, content: string}>} turns - Turns dropped from the context
+ * @param {number} budget - Token budget for the summary
+ * @returns {{role: string, content: string}|null} Summary message, or null if nothing fits
+ */
+function summarizeTurns(turns, budget) {
+    if (turns.length === 0 || budget <= 0) {
+        return null;
+    }
+
+    const header = "Summary of the earlier conversation:";
+    const lines = [];
+    let used = estimateTokens(header);
+
+    for (let i = turns.length - 1; i >= 0; i--) {
+        const speaker = turns[i].role === "user" ? "User" : "Assistant";
+        const line = `- ${speaker}: ${truncateText(turns[i].content, SUMMARY_SNIPPET_LENGTH)}`;
+        const cost = estimateTokens(line);
+
+        if (used + cost > budget) {
+            break;
+        }
+        lines.unshift(line);
+        used += cost;
+    }
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    return { role: "system", content: `${header}\n${lines.join("\n")}` };
+}
+
+/**
+ * Merge consecutive turns from the same role
+ * @description A failed request leaves a user turn without a reply; chat
+ * templates require strictly alternating roles
+ * @param {Array<{role: string, content: string}>} transcript - The transcript to normalize
+ * @returns {Array<{role: string, content: string}>} Normalized copy
+ */
+function mergeConsecutiveTurns(transcript) {
+    const merged = [];
+
+    transcript.forEach(turn => {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.role === turn.role) {
+            previous.content += `\n\n${turn.content}`;
+        } else {
+            merged.push({ role: turn.role, content: turn.content });
+        }
+    });
+
+    return merged;
+}
+
+/* ============================================
+   PROMPT-ONLY FALLBACK
+   ============================================ */
+
+/**
+ * Fold a messages array into a single Mistral [INST] prompt
+ * @description For backends that only accept `{ prompt }`. The FastAPI
+ * backend already wraps the prompt in `<s>[INST] … [/INST]`, so the result
+ * omits the outermost tags and closes/reopens them between turns instead.
+ * With a single user turn the result is just that turn's text.
+ * @param {Array<{role: string, content: string}>} messages - Messages from buildContextMessages
+ * @returns {string} The folded prompt
+ */
+function foldMessagesToPrompt(messages) {
+    let prompt = "";
+    let pendingSystem = "";
+
+    messages.forEach((message, index) => {
+        if (message.role === "system") {
+            // Mistral has no system role; prepend it to the next user turn
+            pendingSystem += `${message.content}\n\n`;
+            return;
+        }
+
+        if (message.role === "user") {
+            if (index > 0 && prompt) {
+                prompt += "</s>[INST] ";
+            }
+            prompt += pendingSystem + message.content;
+            pendingSystem = "";
+        } else {
+            prompt += ` [/INST] ${message.content}`;
+        }
+    });
+
+    return prompt;
+}
+
+/**
+ * Truncate text to a maximum length on a word boundary
+ * @param {string} text - The text to truncate
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} Truncated text, with an ellipsis if shortened
+ */
+function truncateText(text, maxLength) {
+    const singleLine = text.replace(/\s+/g, " ").trim();
+
+    if (singleLine.length <= maxLength) {
+        return singleLine;
+    }
+
+    const cut = singleLine.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(" ");
+
+    return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
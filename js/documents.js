@@ -0,0 +1,522 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - DOCUMENT ATTACHMENTS
+   Local retrieval over files attached to a chat
+   ============================================ */
+
+/*
+ * Files dropped on the input area are split into chunks and indexed in the
+ * browser; nothing is uploaded except the excerpts sent with a question.
+ * Each stored document keeps its chunks with their term counts:
+ *
+ *   { id, conversationId, name, size, addedAt,
+ *     chunks: [{ text, terms: { [term]: count }, length }] }
+ *
+ * On every send the question is scored against all chunks of the
+ * conversation's documents with BM25, and the best matches are added to the
+ * system prompt. The reply keeps the excerpts it was given as `sources`.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * File extensions that can be attached
+ * @constant {Array<string>}
+ */
+const ACCEPTED_DOCUMENT_EXTENSIONS = ["txt", "md", "csv", "json"];
+
+/**
+ * Largest file that can be attached, in bytes
+ * @constant {number}
+ */
+const MAX_DOCUMENT_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Target chunk length in characters
+ * @constant {number}
+ */
+const CHUNK_SIZE = 1000;
+
+/**
+ * BM25 term-frequency saturation
+ * @constant {number}
+ */
+const BM25_K1 = 1.5;
+
+/**
+ * BM25 document-length normalization
+ * @constant {number}
+ */
+const BM25_B = 0.75;
+
+/**
+ * Maximum number of chunks added to a request
+ * @constant {number}
+ */
+const RETRIEVAL_TOP_K = 3;
+
+/**
+ * Token budget for the excerpts added to a request
+ * @constant {number}
+ * @description Comes out of the profile's context budget, so keep room for history
+ */
+const RETRIEVAL_TOKEN_BUDGET = 700;
+
+/**
+ * Words too common to help ranking
+ * @constant {Set<string>}
+ */
+const STOPWORDS = new Set(
+    ("a an and are as at be by for from has have how i in is it its of on or that the this " +
+    "to was were what when where which who why will with you your do does can about").split(" ")
+);
+
+/* ============================================
+   CHUNKING & INDEXING
+   ============================================ */
+
+/**
+ * Split a document into chunks
+ * @description CSV chunks repeat the header row so each stands on its own;
+ * JSON is pretty-printed first so it splits on line boundaries
+ * @param {string} name - File name (its extension picks the strategy)
+ * @param {string} text - File contents
+ * @returns {Array<string>} Chunks, in order
+ */
+function chunkDocument(name, text) {
+    const extension = getFileExtension(name);
+
+    if (extension === "csv") {
+        const [firstLine, ...rows] = text.split(/\r?\n/).filter(line => line.trim());
+        if (firstLine === undefined) {
+            return [];
+        }
+
+        // Every chunk repeats the header, so a very wide one is cut to leave
+        // at least half of each chunk for rows
+        const header = firstLine.slice(0, CHUNK_SIZE / 2);
+        return packUnits(rows, "\n", CHUNK_SIZE - header.length - 1).map(chunk => `${header}\n${chunk}`);
+    }
+
+    if (extension === "json") {
+        try {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Not valid JSON; index it as plain text
+        }
+    }
+
+    const units = text.split(/\n\s*\n/).flatMap(paragraph =>
+        paragraph.length > CHUNK_SIZE ? paragraph.split("\n") : [paragraph]
+    );
+
+    return packUnits(units, "\n\n", CHUNK_SIZE);
+}
+
+/**
+ * Pack units of text into chunks of at most `size` characters
+ * @description Units longer than `size` are cut into pieces
+ * @param {Array<string>} units - Paragraphs, lines or rows
+ * @param {string} separator - Joins units inside a chunk
+ * @param {number} size - Maximum chunk length
+ * @returns {Array<string>} Chunks
+ */
+function packUnits(units, separator, size) {
+    const chunks = [];
+    let current = "";
+
+    units.map(unit => unit.trim()).filter(Boolean).forEach(unit => {
+        const pieces = unit.match(new RegExp(`[\\s\\S]{1,${Math.max(size, 1)}}`, "g"));
+
+        pieces.forEach(piece => {
+            if (current && current.length + separator.length + piece.length > size) {
+                chunks.push(current);
+                current = "";
+            }
+            current = current ? `${current}${separator}${piece}` : piece;
+        });
+    });
+
+    if (current) {
+        chunks.push(current);
+    }
+
+    return chunks;
+}
+
+/**
+ * Split text into index terms
+ * @param {string} text - The text
+ * @returns {Array<string>} Lowercase terms without stopwords
+ */
+function tokenizeForIndex(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Build an indexed document record from a file's contents
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ * @param {string} conversationId - The conversation it is attached to
+ * @returns {Object} The document record
+ */
+function createDocumentRecord(name, text, conversationId) {
+    const chunks = chunkDocument(name, text).map(chunk => {
+        const terms = {};
+        const tokens = tokenizeForIndex(chunk);
+
+        tokens.forEach(term => {
+            terms[term] = (terms[term] || 0) + 1;
+        });
+
+        return { text: chunk, terms, length: tokens.length };
+    });
+
+    return {
+        id: generateId(),
+        conversationId,
+        name,
+        size: text.length,
+        addedAt: Date.now(),
+        chunks
+    };
+}
+
+/**
+ * Get a file name's lowercase extension
+ * @param {string} name - File name
+ * @returns {string} The extension without the dot
+ */
+function getFileExtension(name) {
+    const dot = name.lastIndexOf(".");
+    return dot === -1 ? "" : name.slice(dot + 1).toLowerCase();
+}
+
+/* ============================================
+   RETRIEVAL
+   ============================================ */
+
+/**
+ * Rank the chunks of some documents against a query with BM25
+ * @param {Array<Object>} documents - Indexed document records
+ * @param {string} query - The user's question
+ * @returns {Array<{documentId: string, name: string, chunkIndex: number, text: string, score: number}>}
+ * Matching chunks within the retrieval limits, best first
+ */
+function searchDocuments(documents, query) {
+    const queryTerms = [...new Set(tokenizeForIndex(query))];
+    const chunks = documents.flatMap(doc =>
+        doc.chunks.map((chunk, chunkIndex) => ({ doc, chunk, chunkIndex }))
+    );
+
+    if (queryTerms.length === 0 || chunks.length === 0) {
+        return [];
+    }
+
+    const averageLength = chunks.reduce((total, { chunk }) => total + chunk.length, 0) / chunks.length || 1;
+    const idf = {};
+
+    queryTerms.forEach(term => {
+        const containing = chunks.filter(({ chunk }) => chunk.terms[term]).length;
+        idf[term] = Math.log(1 + (chunks.length - containing + 0.5) / (containing + 0.5));
+    });
+
+    const ranked = chunks
+        .map(({ doc, chunk, chunkIndex }) => {
+            const score = queryTerms.reduce((total, term) => {
+                const frequency = chunk.terms[term] || 0;
+                const norm = BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength);
+                return total + idf[term] * frequency * (BM25_K1 + 1) / (frequency + norm);
+            }, 0);
+
+            return { documentId: doc.id, name: doc.name, chunkIndex, text: chunk.text, score };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+
+    for (const result of ranked) {
+        const cost = estimateTokens(result.text);
+
+        if (selected.length >= RETRIEVAL_TOP_K || (selected.length > 0 && used + cost > RETRIEVAL_TOKEN_BUDGET)) {
+            break;
+        }
+
+        selected.push({ ...result, score: Math.round(result.score * 100) / 100 });
+        used += cost;
+    }
+
+    return selected;
+}
+
+/**
+ * Format retrieved excerpts for the system prompt
+ * @param {Array<Object>} sources - Results of searchDocuments
+ * @returns {string} Instructions plus numbered excerpts, or "" for none
+ */
+function buildSourcesPrompt(sources) {
+    if (sources.length === 0) {
+        return "";
+    }
+
+    const excerpts = sources.map((source, index) =>
+        `[${index + 1}] ${source.name} (part ${source.chunkIndex + 1}):\n${source.text}`
+    );
+
+    return "Answer using the following excerpts from the user's documents when they are relevant. " +
+        "Cite them by number, like [1].\n\n" + excerpts.join("\n\n");
+}
+
+/* ============================================
+   ATTACHMENTS
+   ============================================ */
+
+/**
+ * Remove documents whose conversation no longer exists
+ * @description Files attached to a chat that was never sent are left
+ * behind; clean them up on start. The active chat is kept, since files may
+ * be attached to it before it is first saved.
+ */
+async function initializeDocuments() {
+    try {
+        const ids = new Set(state.conversations.map(conversation => conversation.id));
+        ids.add(state.activeConversation.id);
+        const orphans = (await getAllDocuments()).filter(doc => !ids.has(doc.conversationId));
+
+        await Promise.all(orphans.map(doc => deleteDocument(doc.id)));
+    } catch (error) {
+        console.error("Failed to clean up documents:", error);
+    }
+}
+
+/**
+ * Load the active conversation's documents
+ */
+async function loadAttachments() {
+    const conversation = state.activeConversation;
+    let documents = [];
+
+    try {
+        documents = await getConversationDocuments(conversation.id);
+    } catch (error) {
+        console.error("Failed to load documents:", error);
+    }
+
+    // Ignore the result if the user switched conversations meanwhile
+    if (conversation === state.activeConversation) {
+        state.attachments = documents;
+        renderAttachmentList();
+    }
+}
+
+/**
+ * Index files and attach them to the active conversation
+ * @param {FileList|Array<File>} files - The files to add
+ */
+async function addDocumentFiles(files) {
+    const conversation = state.activeConversation;
+
+    for (const file of files) {
+        if (!ACCEPTED_DOCUMENT_EXTENSIONS.includes(getFileExtension(file.name))) {
+            showError(`Can't attach "${file.name}". Supported files: ${ACCEPTED_DOCUMENT_EXTENSIONS.map(ext => `.${ext}`).join(", ")}.`);
+            continue;
+        }
+
+        if (file.size > MAX_DOCUMENT_SIZE) {
+            showError(`"${file.name}" is too large. Maximum ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB per file.`);
+            continue;
+        }
+
+        let record;
+        try {
+            record = createDocumentRecord(file.name, await file.text(), conversation.id);
+        } catch (error) {
+            console.error("Failed to read document:", error);
+            showError(`Couldn't read "${file.name}".`);
+            continue;
+        }
+
+        if (record.chunks.length === 0) {
+            showError(`"${file.name}" is empty.`);
+            continue;
+        }
+
+        try {
+            await putDocument(record);
+        } catch (error) {
+            console.error("Failed to store document:", error);
+        }
+
+        if (conversation === state.activeConversation) {
+            state.attachments.push(record);
+        }
+    }
+
+    renderAttachmentList();
+}
+
+/**
+ * Detach a document from the active conversation
+ * @param {string} id - The document id
+ */
+async function removeAttachment(id) {
+    state.attachments = state.attachments.filter(doc => doc.id !== id);
+    renderAttachmentList();
+
+    try {
+        await deleteDocument(id);
+    } catch (error) {
+        console.error("Failed to delete document:", error);
+    }
+}
+
+/**
+ * Delete every document attached to a conversation
+ * @param {string} conversationId - The conversation id
+ */
+async function deleteConversationDocuments(conversationId) {
+    try {
+        const documents = await getConversationDocuments(conversationId);
+        await Promise.all(documents.map(doc => deleteDocument(doc.id)));
+    } catch (error) {
+        console.error("Failed to delete documents:", error);
+    }
+}
+
+/* ============================================
+   RENDERING
+   ============================================ */
+
+/**
+ * Render the attachment chips above the input
+ */
+function renderAttachmentList() {
+    const list = elements.attachmentList;
+    list.innerHTML = "";
+    list.classList.toggle("hidden", state.attachments.length === 0);
+
+    state.attachments.forEach(doc => {
+        const chip = document.createElement("div");
+        chip.className = "attachment-chip";
+        chip.title = `${doc.chunks.length} indexed part${doc.chunks.length !== 1 ? "s" : ""}`;
+
+        const name = document.createElement("span");
+        name.className = "attachment-name";
+        name.textContent = doc.name;
+
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "attachment-remove";
+        removeBtn.dataset.id = doc.id;
+        removeBtn.setAttribute("aria-label", `Remove ${doc.name}`);
+        removeBtn.textContent = "×";
+
+        chip.appendChild(name);
+        chip.appendChild(removeBtn);
+        list.appendChild(chip);
+    });
+}
+
+/**
+ * Show the excerpts a reply was given as expandable citations
+ * @param {HTMLElement} messageDiv - The bot message element
+ * @param {Array<Object>} sources - The reply's sources
+ */
+function renderMessageSources(messageDiv, sources) {
+    const contentDiv = messageDiv.querySelector(".message-content");
+    contentDiv.querySelectorAll(".message-sources").forEach(node => node.remove());
+
+    if (!sources || sources.length === 0) {
+        return;
+    }
+
+    const container = document.createElement("details");
+    container.className = "message-sources";
+
+    const summary = document.createElement("summary");
+    summary.textContent = `Sources (${sources.length})`;
+    container.appendChild(summary);
+
+    sources.forEach((source, index) => {
+        const item = document.createElement("details");
+        item.className = "message-source-item";
+
+        const label = document.createElement("summary");
+        label.textContent = `[${index + 1}] ${source.name} · part ${source.chunkIndex + 1}`;
+
+        const excerpt = document.createElement("blockquote");
+        excerpt.textContent = source.text;
+
+        item.appendChild(label);
+        item.appendChild(excerpt);
+        container.appendChild(item);
+    });
+
+    contentDiv.querySelector(".message-meta").before(container);
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Handle files chosen with the attach button
+ * @param {Event} event - The change event of the file input
+ */
+function handleAttachmentInput(event) {
+    const files = [...event.target.files];
+    event.target.value = "";
+    addDocumentFiles(files);
+}
+
+/**
+ * Highlight the input area while files are dragged over it
+ * @param {DragEvent} event - The dragover event
+ */
+function handleDocumentDragOver(event) {
+    if (!event.dataTransfer || !event.dataTransfer.types.includes("Files")) {
+        return;
+    }
+
+    event.preventDefault();
+    elements.inputArea.classList.add("drag-over");
+}
+
+/**
+ * Remove the drop highlight
+ * @param {DragEvent} event - The dragleave event
+ */
+function handleDocumentDragLeave(event) {
+    if (!elements.inputArea.contains(event.relatedTarget)) {
+        elements.inputArea.classList.remove("drag-over");
+    }
+}
+
+/**
+ * Attach files dropped on the input area
+ * @param {DragEvent} event - The drop event
+ */
+function handleDocumentDrop(event) {
+    if (!event.dataTransfer || event.dataTransfer.files.length === 0) {
+        return;
+    }
+
+    event.preventDefault();
+    elements.inputArea.classList.remove("drag-over");
+    addDocumentFiles([...event.dataTransfer.files]);
+}
+
+/**
+ * Handle clicks on attachment chips
+ * @param {MouseEvent} event - The click event
+ */
+function handleAttachmentListClick(event) {
+    const removeBtn = event.target.closest(".attachment-remove");
+
+    if (removeBtn) {
+        removeAttachment(removeBtn.dataset.id);
+    }
+}
@@ -0,0 +1,531 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - ENDPOINT PROFILES
+   Runtime backend configuration and health checks
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * localStorage key for the saved endpoint profiles
+ * @constant {string}
+ */
+const PROFILES_STORAGE_KEY = "chatbot-endpoint-profiles";
+
+/**
+ * localStorage key for the active profile id
+ * @constant {string}
+ */
+const ACTIVE_PROFILE_STORAGE_KEY = "chatbot-active-profile";
+
+/**
+ * Profile created on first run
+ * @constant {Object}
+ * @description The ngrok URL changes every Colab session; edit it from the
+ * settings panel rather than here
+ */
+const DEFAULT_PROFILE = {
+    id: "default",
+    name: "Colab (ngrok)",
+    provider: DEFAULT_PROVIDER,
+    baseUrl: "https://louvenia-potentae-victor.ngrok-free.dev",
+    streamPath: "/generate_stream",
+    model: "",
+    contextBudget: CONTEXT_TOKEN_BUDGET,
+    authHeaderName: "",
+    authHeaderValue: ""
+};
+
+/**
+ * How often the backend health route is polled (in milliseconds)
+ * @constant {number}
+ */
+const HEALTH_CHECK_INTERVAL = 15000;
+
+/**
+ * How long a health check may take before the backend counts as offline
+ * @constant {number}
+ */
+const HEALTH_CHECK_TIMEOUT = 5000;
+
+/**
+ * Connection states shown by the header badge
+ * @constant {Object<string, string>}
+ */
+const CONNECTION_STATUS = {
+    CHECKING: "checking",
+    ONLINE: "online",
+    OFFLINE: "offline",
+    UNAUTHORIZED: "unauthorized"
+};
+
+/**
+ * Badge labels for each connection state
+ * @constant {Object<string, string>}
+ */
+const CONNECTION_STATUS_LABELS = {
+    checking: "Checking…",
+    online: "Connected",
+    offline: "Offline",
+    unauthorized: "Unauthorized"
+};
+
+/* ============================================
+   PROFILE STORAGE
+   ============================================ */
+
+let healthCheckTimer = null;
+
+// Id of a profile that only exists for this visit (?mock) and is never saved
+let sessionProfileId = null;
+
+/**
+ * Load endpoint profiles and the active profile from localStorage
+ */
+function initializeEndpoints() {
+    let profiles = [];
+
+    try {
+        profiles = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error("Failed to read endpoint profiles:", error);
+    }
+
+    if (profiles.length === 0) {
+        profiles = [{ ...DEFAULT_PROFILE }];
+    }
+
+    // Profiles saved before provider adapters existed target the FastAPI backend
+    state.profiles = profiles.map(profile => ({ ...DEFAULT_PROFILE, ...profile }));
+
+    const activeId = localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY);
+    state.activeProfile = state.profiles.find(profile => profile.id === activeId) || state.profiles[0];
+
+    // ?mock uses the mock backend for this visit, without changing the saved choice
+    const mockProfile = getMockProfileFromUrl();
+    if (mockProfile) {
+        state.profiles = [...state.profiles.filter(profile => profile.id !== mockProfile.id), mockProfile];
+        state.activeProfile = mockProfile;
+        sessionProfileId = mockProfile.id;
+    }
+
+    renderProviderSelect();
+    renderMockFailureSelect();
+    renderProfileSelect();
+    startHealthChecks();
+
+    // Don't poll a backend nobody is looking at
+    document.addEventListener("visibilitychange", () => {
+        if (document.hidden) {
+            stopHealthChecks();
+        } else {
+            startHealthChecks();
+        }
+    });
+}
+
+/**
+ * Write profiles and the active profile id to localStorage
+ * @description The profile for this visit only is left out, and while it is
+ * active the saved choice stays as it was
+ */
+function saveProfiles() {
+    const saved = state.profiles.filter(profile => profile.id !== sessionProfileId);
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(saved));
+
+    if (state.activeProfile.id !== sessionProfileId) {
+        localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, state.activeProfile.id);
+    }
+}
+
+/**
+ * Make a profile the active backend
+ * @description Takes effect on the next request; no reload needed
+ * @param {string} id - The profile id
+ */
+function setActiveProfile(id) {
+    const profile = state.profiles.find(item => item.id === id);
+    if (!profile) return;
+
+    state.activeProfile = profile;
+
+    // A different backend may accept a different request shape
+    state.historyTransport = HISTORY_TRANSPORT.MESSAGES;
+
+    saveProfiles();
+    renderProfileSelect();
+    startHealthChecks();
+}
+
+/* ============================================
+   REQUEST HELPERS
+   ============================================ */
+
+/**
+ * Join a profile's base URL and a path
+ * @param {Object} profile - The endpoint profile
+ * @param {string} path - Path starting with "/"
+ * @returns {string} The full URL
+ */
+function buildEndpointUrl(profile, path) {
+    return profile.baseUrl.replace(/\/+$/, "") + path;
+}
+
+/**
+ * Build headers for a request to a profile's backend
+ * @description Adds the profile's auth header, and skips ngrok's browser
+ * warning page, which would otherwise be returned instead of the API response
+ * @param {Object} profile - The endpoint profile
+ * @param {Object} [extra] - Additional headers
+ * @returns {Object} Request headers
+ */
+function buildEndpointHeaders(profile, extra = {}) {
+    const headers = { ...extra };
+
+    if (profile.authHeaderName && profile.authHeaderValue) {
+        headers[profile.authHeaderName] = profile.authHeaderValue;
+    }
+
+    if (/ngrok/i.test(profile.baseUrl)) {
+        headers["ngrok-skip-browser-warning"] = "true";
+    }
+
+    return headers;
+}
+
+/**
+ * Send a request to a profile's backend
+ * @description Providers that answer in the page, like the mock backend,
+ * handle it themselves; everything else goes over the network
+ * @param {Object} profile - The endpoint profile
+ * @param {string} path - Path starting with "/"
+ * @param {Object} init - Fetch options
+ * @returns {Promise<Response>} The response
+ */
+function fetchEndpoint(profile, path, init) {
+    const provider = getProvider(profile);
+    const url = buildEndpointUrl(profile, path);
+
+    return provider.fetch ? provider.fetch(url, init, profile) : fetch(url, init);
+}
+
+/* ============================================
+   HEALTH CHECKS
+   ============================================ */
+
+/**
+ * (Re)start polling the active profile's health route
+ */
+function startHealthChecks() {
+    stopHealthChecks();
+    checkBackendHealth();
+    healthCheckTimer = setInterval(checkBackendHealth, HEALTH_CHECK_INTERVAL);
+}
+
+/**
+ * Stop polling the health route
+ */
+function stopHealthChecks() {
+    if (healthCheckTimer) {
+        clearInterval(healthCheckTimer);
+        healthCheckTimer = null;
+    }
+}
+
+/**
+ * Check whether a profile's backend is reachable
+ * @description Calls the provider's health route (`GET /` for FastAPI)
+ * @param {Object} profile - The endpoint profile
+ * @returns {Promise<string>} One of CONNECTION_STATUS
+ */
+async function pingProfile(profile) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT);
+
+    try {
+        const response = await fetchEndpoint(profile, getProvider(profile).healthPath, {
+            method: "GET",
+            headers: buildEndpointHeaders(profile),
+            signal: controller.signal
+        });
+
+        if (response.status === 401 || response.status === 403) {
+            return CONNECTION_STATUS.UNAUTHORIZED;
+        }
+
+        return response.ok ? CONNECTION_STATUS.ONLINE : CONNECTION_STATUS.OFFLINE;
+    } catch (error) {
+        return CONNECTION_STATUS.OFFLINE;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Check the active backend and update the header badge
+ */
+async function checkBackendHealth() {
+    const profile = state.activeProfile;
+
+    if (state.connectionStatus !== CONNECTION_STATUS.ONLINE) {
+        updateConnectionBadge(CONNECTION_STATUS.CHECKING);
+    }
+
+    const status = await pingProfile(profile);
+
+    // Ignore results for a profile that was switched away from meanwhile
+    if (profile === state.activeProfile) {
+        updateConnectionBadge(status);
+    }
+}
+
+/**
+ * Update the connection status badge
+ * @param {string} status - One of CONNECTION_STATUS
+ */
+function updateConnectionBadge(status) {
+    state.connectionStatus = status;
+
+    const badge = elements.connectionBadge;
+    badge.dataset.status = status;
+    badge.querySelector(".connection-label").textContent = CONNECTION_STATUS_LABELS[status];
+    badge.title = `${state.activeProfile.name} — ${buildEndpointUrl(state.activeProfile, "")}`;
+}
+
+/* ============================================
+   SETTINGS PANEL
+   ============================================ */
+
+/**
+ * Open the settings panel
+ */
+function openSettings() {
+    fillProfileForm(state.activeProfile);
+    elements.settingsPanel.classList.remove("hidden");
+    elements.profileNameInput.focus();
+}
+
+/**
+ * Close the settings panel
+ */
+function closeSettings() {
+    elements.settingsPanel.classList.add("hidden");
+    elements.profileTestResult.textContent = "";
+}
+
+/**
+ * Render the provider dropdown in the settings panel
+ */
+function renderProviderSelect() {
+    Object.entries(PROVIDERS).forEach(([id, provider]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = provider.label;
+        elements.profileProviderSelect.appendChild(option);
+    });
+}
+
+/**
+ * Render the mock failure dropdown in the settings panel
+ */
+function renderMockFailureSelect() {
+    Object.entries(MOCK_FAILURES).forEach(([id, label]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = label;
+        elements.profileMockFailureSelect.appendChild(option);
+    });
+}
+
+/**
+ * Show the form fields that apply to the selected provider
+ * @description A provider that answers in the page needs no URL or auth
+ */
+function updateProviderFields() {
+    const provider = PROVIDERS[elements.profileProviderSelect.value];
+    const isLocal = Boolean(provider.fetch);
+
+    elements.profileRemoteFields.classList.toggle("hidden", isLocal);
+    elements.profileMockFields.classList.toggle("hidden", !isLocal);
+    elements.profileUrlInput.required = !isLocal;
+}
+
+/**
+ * Render the profile dropdown in the settings panel
+ */
+function renderProfileSelect() {
+    const select = elements.profileSelect;
+    select.innerHTML = "";
+
+    state.profiles.forEach(profile => {
+        const option = document.createElement("option");
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === state.activeProfile.id;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Populate the profile form
+ * @param {Object} profile - The profile to edit
+ */
+function fillProfileForm(profile) {
+    elements.profileForm.dataset.profileId = profile.id;
+    elements.profileNameInput.value = profile.name;
+    elements.profileProviderSelect.value = profile.provider;
+    elements.profileUrlInput.value = profile.baseUrl;
+    elements.profilePathInput.value = profile.streamPath;
+    elements.profileModelInput.value = profile.model;
+    elements.profileContextBudgetInput.value = profile.contextBudget;
+    elements.profileAuthNameInput.value = profile.authHeaderName;
+    elements.profileAuthValueInput.value = profile.authHeaderValue;
+
+    const mock = getMockOptions(profile);
+    elements.profileMockChunkInput.value = mock.chunkSize;
+    elements.profileMockDelayInput.value = mock.delay;
+    elements.profileMockFirstTokenInput.value = mock.firstTokenDelay;
+    elements.profileMockFailureSelect.value = mock.failure;
+
+    elements.profileTestResult.textContent = "";
+    elements.profileSelect.value = profile.id;
+    updateProviderFields();
+}
+
+/**
+ * Read the profile form into a profile object
+ * @returns {Object} The edited profile
+ */
+function readProfileForm() {
+    const provider = elements.profileProviderSelect.value;
+    const path = elements.profilePathInput.value.trim() || PROVIDERS[provider].defaultPath;
+    const number = (input, min, fallback) => {
+        const value = parseInt(input.value, 10);
+        return Number.isFinite(value) ? Math.max(min, value) : fallback;
+    };
+
+    return {
+        id: elements.profileForm.dataset.profileId,
+        name: elements.profileNameInput.value.trim() || "Untitled",
+        provider,
+        baseUrl: elements.profileUrlInput.value.trim(),
+        streamPath: path.startsWith("/") ? path : `/${path}`,
+        model: elements.profileModelInput.value.trim(),
+        contextBudget: number(elements.profileContextBudgetInput, MIN_CONTEXT_TOKEN_BUDGET, CONTEXT_TOKEN_BUDGET),
+        authHeaderName: elements.profileAuthNameInput.value.trim(),
+        authHeaderValue: elements.profileAuthValueInput.value.trim(),
+        ...(PROVIDERS[provider].fetch && {
+            mock: {
+                chunkSize: number(elements.profileMockChunkInput, 1, MOCK_DEFAULTS.chunkSize),
+                delay: number(elements.profileMockDelayInput, 0, MOCK_DEFAULTS.delay),
+                firstTokenDelay: number(elements.profileMockFirstTokenInput, 0, MOCK_DEFAULTS.firstTokenDelay),
+                failure: elements.profileMockFailureSelect.value
+            }
+        })
+    };
+}
+
+/**
+ * Handle profile form submission
+ * @description Saves the edited profile and makes it active
+ * @param {SubmitEvent} event - The submit event
+ */
+function handleProfileSave(event) {
+    event.preventDefault();
+
+    const profile = readProfileForm();
+
+    if (!getProvider(profile).fetch && !/^https?:\/\//i.test(profile.baseUrl)) {
+        elements.profileTestResult.textContent = "Base URL must start with http:// or https://";
+        return;
+    }
+
+    const index = state.profiles.findIndex(item => item.id === profile.id);
+    if (index === -1) {
+        state.profiles.push(profile);
+    } else {
+        state.profiles[index] = profile;
+    }
+
+    setActiveProfile(profile.id);
+    closeSettings();
+}
+
+/**
+ * Handle profile dropdown change
+ * @param {Event} event - The change event
+ */
+function handleProfileSelect(event) {
+    const profile = state.profiles.find(item => item.id === event.target.value);
+    if (profile) {
+        fillProfileForm(profile);
+    }
+}
+
+/**
+ * Handle provider dropdown change
+ * @description Swaps in the new provider's default path unless the user
+ * typed a custom one, and shows the provider's fields
+ */
+function handleProviderChange() {
+    updateProviderFields();
+
+    const path = elements.profilePathInput.value.trim();
+    const isDefaultPath = !path || Object.values(PROVIDERS).some(provider => provider.defaultPath === path);
+
+    if (isDefaultPath) {
+        elements.profilePathInput.value = PROVIDERS[elements.profileProviderSelect.value].defaultPath;
+    }
+}
+
+/**
+ * Start editing a new, unsaved profile
+ */
+function handleProfileNew() {
+    fillProfileForm({ ...DEFAULT_PROFILE, id: generateId(), name: "New profile", baseUrl: "" });
+
+    // The new profile is not in the dropdown until it is saved
+    elements.profileSelect.value = "";
+    elements.profileUrlInput.focus();
+}
+
+/**
+ * Delete the profile being edited
+ * @description The last remaining profile cannot be deleted
+ */
+function handleProfileDelete() {
+    const id = elements.profileForm.dataset.profileId;
+    const profile = state.profiles.find(item => item.id === id);
+
+    if (!profile || state.profiles.length === 1) {
+        return;
+    }
+
+    if (!confirm(`Delete the "${profile.name}" profile?`)) {
+        return;
+    }
+
+    state.profiles = state.profiles.filter(item => item.id !== id);
+
+    if (state.activeProfile.id === id) {
+        setActiveProfile(state.profiles[0].id);
+    } else {
+        saveProfiles();
+        renderProfileSelect();
+    }
+
+    fillProfileForm(state.activeProfile);
+}
+
+/**
+ * Test the profile in the form without saving it
+ */
+async function handleProfileTest() {
+    const profile = readProfileForm();
+    const result = elements.profileTestResult;
+
+    result.textContent = "Testing…";
+    const status = await pingProfile(profile);
+    result.textContent = `Health check: ${CONNECTION_STATUS_LABELS[status]}`;
+}
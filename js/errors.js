@@ -0,0 +1,257 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - REQUEST ERRORS
+   Failure classification and retries with backoff
+   ============================================ */
+
+/*
+ * Every failed request is turned into an Error carrying a `kind` from
+ * REQUEST_ERRORS, so the chat can say what went wrong and what to do about
+ * it. Transient kinds are retried with exponential backoff before the
+ * reply starts; once tokens have arrived a failure is never retried
+ * automatically, since that would duplicate text.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Failure kinds with their message, hint and whether to retry them
+ * @constant {Object<string, {title: string, hint: string, transient: boolean}>}
+ */
+const REQUEST_ERRORS = {
+    offline: {
+        title: "You're offline",
+        hint: "Check your network connection.",
+        transient: true
+    },
+    unreachable: {
+        title: "Can't reach the backend",
+        hint: "Check the URL in Backend settings and that the server (or the Colab notebook) is running. " +
+            "A restarted ngrok tunnel gets a new URL.",
+        transient: true
+    },
+    cors: {
+        title: "The backend blocked this page (CORS)",
+        hint: "The server answered but did not allow this origin. Allow it in the server's CORS settings " +
+            "(FastAPI: CORSMiddleware), or check whether the tunnel returned an error page.",
+        transient: false
+    },
+    interstitial: {
+        title: "Got a web page instead of a reply",
+        hint: "This is usually ngrok's browser warning. Open the backend URL in a new tab once, " +
+            "or make sure the server allows the ngrok-skip-browser-warning header.",
+        transient: false
+    },
+    badGateway: {
+        title: "The tunnel can't reach the backend",
+        hint: "ngrok is up but the server behind it is not answering. Re-run the server cell in the notebook.",
+        transient: true
+    },
+    rateLimited: {
+        title: "Too many requests",
+        hint: "The server is rate limiting; waiting before trying again.",
+        transient: true
+    },
+    client: {
+        title: "The server rejected the request",
+        hint: "Check the streaming path, model name and auth header in Backend settings.",
+        transient: false
+    },
+    server: {
+        title: "The server failed while generating",
+        hint: "On a Colab T4 this is often out-of-memory; try fewer max tokens or a shorter conversation.",
+        transient: true
+    },
+    truncated: {
+        title: "The reply was cut off",
+        hint: "The connection dropped before the model finished.",
+        transient: false
+    }
+};
+
+/**
+ * Maximum automatic retries for a transient failure
+ * @constant {number}
+ */
+const RETRY_MAX_ATTEMPTS = 3;
+
+/**
+ * Delay before the first retry; doubles on every further attempt
+ * @constant {number}
+ */
+const RETRY_BASE_DELAY = 2000;
+
+/* ============================================
+   CLASSIFICATION
+   ============================================ */
+
+/**
+ * Create an error of a known kind
+ * @param {string} kind - A key of REQUEST_ERRORS
+ * @param {number} [status] - HTTP status, if there was a response
+ * @returns {Error} The error, with `kind`, `hint`, `transient` and `status`
+ */
+function createRequestError(kind, status = null) {
+    const { title, hint, transient } = REQUEST_ERRORS[kind];
+    const error = new Error(status ? `${title} (HTTP ${status})` : title);
+
+    error.kind = kind;
+    error.hint = hint;
+    error.transient = transient;
+    error.status = status;
+
+    return error;
+}
+
+/**
+ * Check a response before reading its stream
+ * @param {Response} response - The fetch response
+ * @returns {Error|null} A classified error, or null if the response is usable
+ */
+function classifyResponse(response) {
+    if (response.ok) {
+        // No streaming endpoint answers with a page; ngrok's warning does
+        const contentType = response.headers.get("content-type") || "";
+        return contentType.includes("text/html") ? createRequestError("interstitial") : null;
+    }
+
+    const { status } = response;
+
+    if (status === 502 || status === 504) {
+        return createRequestError("badGateway", status);
+    }
+    if (status === 429 || status === 408) {
+        return createRequestError("rateLimited", status);
+    }
+
+    return createRequestError(status >= 500 ? "server" : "client", status);
+}
+
+/**
+ * Classify a fetch that failed without a response
+ * @description Browsers report CORS rejections and unreachable servers as
+ * the same TypeError; an opaque `no-cors` probe tells them apart, since it
+ * only succeeds when something answered
+ * @param {Error} error - The error fetch rejected with
+ * @param {Object} profile - The endpoint profile that was called
+ * @returns {Promise<Error>} A classified error
+ */
+async function classifyFetchError(error, profile) {
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+        return createRequestError("offline");
+    }
+
+    try {
+        await fetchEndpoint(profile, getProvider(profile).healthPath, {
+            mode: "no-cors",
+            signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT)
+        });
+        return createRequestError("cors");
+    } catch (probeError) {
+        return createRequestError("unreachable");
+    }
+}
+
+/* ============================================
+   RETRIES
+   ============================================ */
+
+/**
+ * Send a request, retrying transient failures with exponential backoff
+ * @description A countdown is shown in the chat while waiting; the stop
+ * button cancels the wait
+ * @param {function(): Promise<Response>} request - Sends the request once
+ * @param {Object} profile - The endpoint profile being called
+ * @param {AbortSignal} signal - Abort signal for the request
+ * @param {function(number, Error, number, AbortSignal): Promise} [wait] - Waits before
+ * each retry; defaults to the countdown in the chat
+ * @returns {Promise<Response>} A usable response
+ * @throws {Error} A classified error once retries are exhausted
+ */
+async function requestWithRetry(request, profile, signal, wait = waitForRetry) {
+    for (let attempt = 1; ; attempt++) {
+        let failure;
+
+        try {
+            const response = await request();
+            failure = classifyResponse(response);
+
+            if (!failure) {
+                return response;
+            }
+        } catch (error) {
+            if (error.name === "AbortError") {
+                throw error;
+            }
+            failure = await classifyFetchError(error, profile);
+        }
+
+        if (!failure.transient || attempt > RETRY_MAX_ATTEMPTS) {
+            throw failure;
+        }
+
+        await wait(RETRY_BASE_DELAY * 2 ** (attempt - 1), failure, attempt, signal);
+    }
+}
+
+/**
+ * Wait before a retry while showing a countdown
+ * @param {number} delay - Milliseconds to wait
+ * @param {Error} failure - The classified failure being retried
+ * @param {number} attempt - The retry about to be made (1-based)
+ * @param {AbortSignal} signal - Rejects the wait with an AbortError when aborted
+ * @returns {Promise<void>} Resolves when it is time to retry
+ */
+function waitForRetry(delay, failure, attempt, signal) {
+    return new Promise((resolve, reject) => {
+        const notice = document.createElement("div");
+        notice.className = "retry-notice";
+        notice.setAttribute("role", "status");
+
+        const text = document.createElement("span");
+
+        const retryNowBtn = document.createElement("button");
+        retryNowBtn.className = "secondary-btn";
+        retryNowBtn.textContent = "Retry now";
+
+        notice.appendChild(text);
+        notice.appendChild(retryNowBtn);
+        elements.messagesArea.appendChild(notice);
+        scrollToBottom();
+
+        let remaining = Math.ceil(delay / 1000);
+        const update = () => {
+            text.textContent = `${failure.message}. Retrying in ${remaining}s (attempt ${attempt} of ${RETRY_MAX_ATTEMPTS})…`;
+        };
+
+        const finish = () => {
+            clearInterval(timer);
+            signal.removeEventListener("abort", onAbort);
+            notice.remove();
+        };
+
+        const onAbort = () => {
+            finish();
+            reject(new DOMException("Retry cancelled", "AbortError"));
+        };
+
+        const timer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                update();
+            } else {
+                finish();
+                resolve();
+            }
+        }, 1000);
+
+        retryNowBtn.addEventListener("click", () => {
+            finish();
+            resolve();
+        });
+        signal.addEventListener("abort", onAbort);
+
+        update();
+    });
+}
@@ -0,0 +1,461 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - EXPORT & IMPORT
+   Markdown, JSON and standalone HTML transcripts
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Identifies JSON files written by this app
+ * @constant {string}
+ */
+const EXPORT_FORMAT_ID = "qlm-chatbot-conversation";
+
+/**
+ * Version of the JSON export format
+ * @constant {number}
+ */
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * File details for each export format
+ * @constant {Object<string, {extension: string, mimeType: string}>}
+ */
+const EXPORT_FORMATS = {
+    markdown: { extension: "md", mimeType: "text/markdown" },
+    json: { extension: "json", mimeType: "application/json" },
+    html: { extension: "html", mimeType: "text/html" }
+};
+
+/**
+ * Stylesheet embedded in HTML exports
+ * @constant {string}
+ * @description Kept self-contained so the file renders the same anywhere,
+ * without the app's stylesheet or any network access
+ */
+const EXPORT_STYLES = `
+    body { margin: 0; background: #f9fafb; color: #111827; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+    main { max-width: 760px; margin: 0 auto; padding: 32px 16px; }
+    h1 { margin: 0 0 4px; font-size: 24px; }
+    .export-meta { margin: 0 0 24px; color: #6b7280; font-size: 13px; }
+    .message { margin: 0 0 16px; padding: 12px 16px; border-radius: 12px; background: #fff; border: 1px solid #e5e7eb; }
+    .message.user { background: #eef2ff; border-color: #c7d2fe; }
+    .message-role { margin-bottom: 4px; color: #6b7280; font-size: 12px; font-weight: 600; }
+    .message.user .message-content { white-space: pre-wrap; }
+    .message-content > :first-child { margin-top: 0; }
+    .message-content > :last-child { margin-bottom: 0; }
+    pre { padding: 12px; overflow-x: auto; border-radius: 8px; background: #1f2937; color: #f9fafb; }
+    code { font-family: Consolas, Monaco, "Courier New", monospace; font-size: 0.9em; }
+    table { border-collapse: collapse; }
+    th, td { padding: 4px 8px; border: 1px solid #e5e7eb; }
+    blockquote { margin: 8px 0; padding-left: 12px; border-left: 3px solid #d1d5db; color: #4b5563; }
+`;
+
+/* ============================================
+   EXPORT BUILDERS
+   ============================================ */
+
+/**
+ * Build a Markdown transcript of the visible path
+ * @param {Object} conversation - The conversation
+ * @returns {string} Markdown text
+ */
+function buildMarkdownExport(conversation) {
+    const persona = getConversationPersona(conversation);
+    const lines = [
+        `# ${conversation.title}`,
+        "",
+        `_${persona.name} · ${new Date(conversation.createdAt).toLocaleString()}_`
+    ];
+
+    getActivePath(conversation).forEach(node => {
+        const speaker = node.role === "user" ? "You" : "Assistant";
+        lines.push("", `### ${speaker} · ${getCurrentTime(new Date(node.timestamp))}`, "", node.content);
+    });
+
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Build a JSON export
+ * @description Includes the visible messages for readability and the full
+ * branch tree, persona and parameters so an import reproduces the session
+ * @param {Object} conversation - The conversation
+ * @returns {string} JSON text
+ */
+function buildJsonExport(conversation) {
+    const { id, name, icon, systemPrompt } = getConversationPersona(conversation);
+
+    const data = {
+        format: EXPORT_FORMAT_ID,
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversation: {
+            title: conversation.title,
+            createdAt: conversation.createdAt,
+            updatedAt: conversation.updatedAt,
+            persona: { id, name, icon, systemPrompt },
+            systemPrompt: conversation.systemPrompt ?? null,
+            params: getConversationParams(conversation),
+            messages: getActivePath(conversation).map(({ role, content, timestamp }) => ({ role, content, timestamp })),
+            tree: {
+                nodes: conversation.nodes,
+                rootIds: conversation.rootIds,
+                selectedRootId: conversation.selectedRootId
+            }
+        }
+    };
+
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Build a single-file HTML page of the visible path
+ * @description Replies are rendered through the same sanitized markdown
+ * pipeline as the chat; styles are inlined and no scripts are included
+ * @param {Object} conversation - The conversation
+ * @returns {string} HTML document
+ */
+function buildHtmlExport(conversation) {
+    const persona = getConversationPersona(conversation);
+
+    const messages = getActivePath(conversation).map(node => {
+        const isUser = node.role === "user";
+        const speaker = isUser ? "You" : "Assistant";
+        const content = isUser ? escapeHtml(node.content) : renderMarkdown(node.content);
+
+        return `<article class="message ${isUser ? "user" : "bot"}">
+<div class="message-role">${speaker} · ${getCurrentTime(new Date(node.timestamp))}</div>
+<div class="message-content">${content}</div>
+</article>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${EXPORT_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="export-meta">${escapeHtml(persona.name)} · ${new Date(conversation.createdAt).toLocaleString()}</p>
+${messages.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Export the active conversation as a file download
+ * @param {string} format - "markdown", "json" or "html"
+ * @param {Object} [conversation] - The conversation (defaults to the active one)
+ * @returns {boolean} False if there was nothing to export
+ */
+function exportConversation(format, conversation = state.activeConversation) {
+    const details = EXPORT_FORMATS[format];
+
+    if (!details || !hasMessages(conversation)) {
+        return false;
+    }
+
+    const builders = {
+        markdown: buildMarkdownExport,
+        json: buildJsonExport,
+        html: buildHtmlExport
+    };
+
+    downloadFile(
+        `${slugifyTitle(conversation.title)}.${details.extension}`,
+        builders[format](conversation),
+        details.mimeType
+    );
+
+    return true;
+}
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - Content type
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement("a");
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn a conversation title into a file name
+ * @param {string} title - The title
+ * @returns {string} A lowercase, dash-separated name
+ */
+function slugifyTitle(title) {
+    const slug = title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 60);
+
+    return slug || "conversation";
+}
+
+/* ============================================
+   IMPORT
+   ============================================ */
+
+/**
+ * Create a conversation from a JSON export
+ * @description The import always gets a new id, so importing the same file
+ * twice never overwrites a conversation
+ * @param {Object} data - Parsed JSON export
+ * @returns {Object} The new conversation record
+ * @throws {Error} If the data is not a conversation export
+ */
+function createConversationFromExport(data) {
+    if (!data || data.format !== EXPORT_FORMAT_ID || !data.conversation) {
+        throw new Error("This file is not a conversation export.");
+    }
+
+    if (data.version > EXPORT_FORMAT_VERSION) {
+        throw new Error("This export was made by a newer version of the app.");
+    }
+
+    const source = data.conversation;
+    const conversation = createConversationRecord(String(source.title || DEFAULT_CONVERSATION_TITLE));
+
+    conversation.titleEdited = true;
+    conversation.createdAt = Number(source.createdAt) || conversation.createdAt;
+    conversation.params = { ...DEFAULT_PARAMETERS, ...source.params };
+    conversation.personaId = resolveImportedPersona(source.persona);
+
+    if (typeof source.systemPrompt === "string") {
+        conversation.systemPrompt = source.systemPrompt;
+    }
+
+    if (isValidTree(source.tree)) {
+        Object.assign(conversation, remapTreeIds(source.tree));
+    } else if (Array.isArray(source.messages)) {
+        conversation.messages = source.messages.filter(message =>
+            (message.role === "user" || message.role === "assistant") && typeof message.content === "string"
+        );
+        delete conversation.nodes;
+        normalizeConversationTree(conversation);
+    }
+
+    if (!hasMessages(conversation)) {
+        throw new Error("The export does not contain any messages.");
+    }
+
+    return conversation;
+}
+
+/**
+ * Check that an exported branch tree is complete and consistent
+ * @description Every node must be reachable from exactly one root through
+ * its parent's childIds, so a hand-edited file with a cycle or a dangling
+ * link can't send getActivePath into a loop
+ * @param {Object} tree - The `tree` field of an export
+ * @returns {boolean} True if the tree can be used as is
+ */
+function isValidTree(tree) {
+    if (!tree || !tree.nodes || typeof tree.nodes !== "object" || !Array.isArray(tree.rootIds)) {
+        return false;
+    }
+
+    const { nodes, rootIds, selectedRootId } = tree;
+    const exists = id => typeof id === "string" && Object.hasOwn(nodes, id);
+    const isValidNode = ([id, node]) =>
+        node &&
+        node.id === id &&
+        (node.role === "user" || node.role === "assistant") &&
+        typeof node.content === "string" &&
+        (node.parentId === null || exists(node.parentId)) &&
+        Array.isArray(node.childIds) &&
+        node.childIds.every(childId => exists(childId) && nodes[childId].parentId === id) &&
+        (node.selectedChildId === null || node.childIds.includes(node.selectedChildId));
+
+    if (!Object.entries(nodes).every(isValidNode) ||
+        !rootIds.every(id => exists(id) && nodes[id].parentId === null) ||
+        !(selectedRootId === null || rootIds.includes(selectedRootId))) {
+        return false;
+    }
+
+    // Walk down from the roots: a node met twice is listed under two parents,
+    // and one never met sits on a cycle or is missing from its parent's list
+    const seen = new Set();
+    const pending = [...rootIds];
+
+    while (pending.length > 0) {
+        const id = pending.pop();
+
+        if (seen.has(id)) {
+            return false;
+        }
+
+        seen.add(id);
+        pending.push(...nodes[id].childIds);
+    }
+
+    return seen.size === Object.keys(nodes).length;
+}
+
+/**
+ * Give every node of an imported tree a fresh id
+ * @description Ids in a file may clash with nodes already in the library
+ * @param {Object} tree - A tree that passed isValidTree
+ * @returns {{nodes: Object, rootIds: Array<string>, selectedRootId: string|null}} The new tree fields
+ */
+function remapTreeIds(tree) {
+    const ids = new Map(Object.keys(tree.nodes).map(id => [id, generateId()]));
+    const remap = id => (id === null ? null : ids.get(id));
+    const nodes = {};
+
+    Object.values(tree.nodes).forEach(node => {
+        const copy = {
+            ...node,
+            id: remap(node.id),
+            parentId: remap(node.parentId),
+            childIds: node.childIds.map(remap),
+            selectedChildId: remap(node.selectedChildId)
+        };
+
+        if (Array.isArray(node.preferredOver)) {
+            copy.preferredOver = node.preferredOver.filter(id => ids.has(id)).map(remap);
+        }
+
+        nodes[copy.id] = copy;
+    });
+
+    return {
+        nodes,
+        rootIds: tree.rootIds.map(remap),
+        selectedRootId: remap(tree.selectedRootId)
+    };
+}
+
+/**
+ * Find or create the persona an imported conversation used
+ * @description Reuses a local persona with the same system prompt; otherwise
+ * adds the imported one so the session behaves the same
+ * @param {Object} [persona] - The exported persona
+ * @returns {string|undefined} The local persona id
+ */
+function resolveImportedPersona(persona) {
+    if (!persona || typeof persona.systemPrompt !== "string") {
+        return undefined;
+    }
+
+    const match = state.personas.find(item => item.id === persona.id && item.systemPrompt === persona.systemPrompt) ||
+        state.personas.find(item => item.systemPrompt === persona.systemPrompt);
+
+    if (match) {
+        return match.id;
+    }
+
+    const imported = {
+        id: generateId(),
+        name: `${persona.name || "Imported persona"} (imported)`,
+        icon: persona.icon || "🤖",
+        systemPrompt: persona.systemPrompt,
+        params: null,
+        suggestions: []
+    };
+
+    state.personas.push(imported);
+    savePersonas();
+
+    return imported.id;
+}
+
+/**
+ * Import a conversation from a JSON export file and open it
+ * @param {File} file - The selected file
+ */
+async function importConversationFile(file) {
+    let data;
+
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error("The file is not valid JSON.");
+    }
+
+    const conversation = createConversationFromExport(data);
+
+    state.conversations.push(conversation);
+    await persistConversation(conversation);
+
+    if (state.isStreaming) {
+        renderConversationList();
+    } else {
+        switchConversation(conversation.id);
+    }
+}
+
+/* ============================================
+   EXPORT PANEL
+   ============================================ */
+
+/**
+ * Open the export & import panel
+ */
+function openExportPanel() {
+    elements.exportStatus.textContent = "";
+    elements.exportPanel.classList.remove("hidden");
+}
+
+/**
+ * Close the export & import panel
+ */
+function closeExportPanel() {
+    elements.exportPanel.classList.add("hidden");
+}
+
+/**
+ * Handle clicks on the export format buttons
+ * @param {MouseEvent} event - The click event
+ */
+function handleExportClick(event) {
+    const button = event.target.closest("[data-format]");
+    if (!button) return;
+
+    if (exportConversation(button.dataset.format)) {
+        closeExportPanel();
+    } else {
+        elements.exportStatus.textContent = "Nothing to export yet — send a message first.";
+    }
+}
+
+/**
+ * Handle a file chosen for import
+ * @param {Event} event - The change event of the file input
+ */
+async function handleImportFile(event) {
+    const [file] = event.target.files;
+    event.target.value = "";
+
+    if (!file) return;
+
+    try {
+        await importConversationFile(file);
+        closeExportPanel();
+    } catch (error) {
+        console.error("Failed to import conversation:", error);
+        elements.exportStatus.textContent = error.message;
+    }
+}
@@ -0,0 +1,343 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - FEEDBACK & DATASETS
+   Reply ratings, corrections and training exports
+   ============================================ */
+
+/*
+ * Each stored reply can be rated and given a correction, kept on its tree
+ * node so it is saved, exported and imported with the transcript:
+ *
+ *   node.feedback = { rating: "up" | "down" | null, correction: string, updatedAt }
+ *
+ * A correction is the reply as it should have been. Two JSONL datasets are
+ * built from every stored conversation:
+ *
+ *   fine-tuning        one example per 👍 or corrected reply, in chat format:
+ *                      { messages: [system, user, assistant, …] }. Earlier
+ *                      assistant turns get `weight: 0` so only the rated
+ *                      reply is learned.
+ *   preference pairs   { prompt: [...], chosen: [assistant], rejected: [assistant] }
+ *                      for each 👍/👎 pair of replies to the same prompt, each
+ *                      correction against the reply it corrects, and each
+ *                      reply marked better in compare mode (`preferredOver`).
+ *
+ * Wherever a reply appears in a context, its correction is used if it has one.
+ * Each example's system prompt is the one the reply was generated with,
+ * including any document excerpts (node.systemPrompt); replies stored before
+ * that was recorded fall back to the conversation's current prompt. Replies
+ * generated with different system prompts are not paired.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * File name prefix for each dataset
+ * @constant {Object<string, {name: string}>}
+ */
+const DATASET_EXPORTS = {
+    finetune: { name: "chat-finetune" },
+    preferences: { name: "chat-preferences" }
+};
+
+/* ============================================
+   FEEDBACK
+   ============================================ */
+
+/**
+ * Update a reply's feedback and save the conversation
+ * @description Feedback with no rating and no correction is removed
+ * @param {string} nodeId - The reply's node id
+ * @param {Object} changes - Fields of node.feedback to set
+ */
+function updateMessageFeedback(nodeId, changes) {
+    const node = state.activeConversation.nodes[nodeId];
+    const feedback = { rating: null, correction: "", ...node.feedback, ...changes, updatedAt: Date.now() };
+
+    if (!feedback.rating && !feedback.correction) {
+        delete node.feedback;
+    } else {
+        node.feedback = feedback;
+    }
+
+    saveConversation();
+}
+
+/**
+ * Rate a reply, or clear the rating when the same one is picked again
+ * @param {HTMLElement} messageDiv - The bot message element
+ * @param {string} rating - "up" or "down"
+ */
+function rateMessage(messageDiv, rating) {
+    const { nodeId } = messageDiv.dataset;
+    const node = state.activeConversation.nodes[nodeId];
+    const current = node.feedback ? node.feedback.rating : null;
+
+    updateMessageFeedback(nodeId, { rating: current === rating ? null : rating });
+    renderMessageActions(messageDiv, "bot", node.content);
+}
+
+/**
+ * Show a reply's correction under its bubble
+ * @param {HTMLElement} messageDiv - The bot message element
+ * @param {Object} [feedback] - The reply's feedback
+ */
+function renderMessageFeedback(messageDiv, feedback) {
+    const contentDiv = messageDiv.querySelector(".message-content");
+    contentDiv.querySelectorAll(".message-correction").forEach(node => node.remove());
+
+    if (!feedback || !feedback.correction) {
+        return;
+    }
+
+    const container = document.createElement("details");
+    container.className = "message-correction";
+
+    const summary = document.createElement("summary");
+    summary.textContent = "Correction";
+
+    const text = document.createElement("div");
+    text.className = "message-correction-text";
+    text.textContent = feedback.correction;
+
+    container.appendChild(summary);
+    container.appendChild(text);
+    contentDiv.querySelector(".message-meta").before(container);
+}
+
+/**
+ * Open an editor for a reply's correction
+ * @description Starts from the existing correction, or the reply itself
+ * @param {HTMLElement} messageDiv - The bot message element
+ */
+function openCorrectionEditor(messageDiv) {
+    const existing = messageDiv.querySelector(".correction-editor");
+
+    if (existing) {
+        existing.querySelector("textarea").focus();
+        return;
+    }
+
+    const { nodeId } = messageDiv.dataset;
+    const node = state.activeConversation.nodes[nodeId];
+    const correction = node.feedback ? node.feedback.correction : "";
+
+    const editor = document.createElement("div");
+    editor.className = "correction-editor";
+
+    const input = document.createElement("textarea");
+    input.className = "message-edit-input";
+    input.value = correction || node.content;
+    input.setAttribute("aria-label", "What the reply should have said");
+
+    const buttons = document.createElement("div");
+    buttons.className = "message-edit-actions";
+
+    const addButton = (className, text, handler) => {
+        const button = document.createElement("button");
+        button.className = className;
+        button.textContent = text;
+        button.addEventListener("click", handler);
+        buttons.appendChild(button);
+    };
+
+    const close = () => editor.remove();
+
+    const save = text => {
+        // An unchanged reply is not a correction
+        const value = text.trim() === node.content.trim() ? "" : text.trim();
+
+        updateMessageFeedback(nodeId, { correction: value });
+        renderMessageFeedback(messageDiv, node.feedback);
+        renderMessageActions(messageDiv, "bot", node.content);
+        close();
+    };
+
+    if (correction) {
+        addButton("secondary-btn danger", "Remove", () => save(""));
+    }
+    addButton("secondary-btn", "Cancel", close);
+    addButton("primary-btn", "Save correction", () => save(input.value));
+
+    input.addEventListener("keydown", event => {
+        if (event.key === "Escape") {
+            event.stopPropagation();
+            close();
+        }
+    });
+
+    editor.appendChild(input);
+    editor.appendChild(buttons);
+    messageDiv.querySelector(".message-meta").before(editor);
+    input.focus();
+}
+
+/* ============================================
+   DATASETS
+   ============================================ */
+
+/**
+ * Get the text a reply should be trained on
+ * @param {Object} node - An assistant node
+ * @returns {string} Its correction if it has one, otherwise its content
+ */
+function getPreferredContent(node) {
+    return (node.feedback && node.feedback.correction) || node.content;
+}
+
+/**
+ * Get the system prompt a reply was generated with
+ * @param {Object} conversation - The conversation
+ * @param {Object} node - An assistant node
+ * @returns {string} The recorded prompt, or the conversation's current one
+ */
+function getReplySystemPrompt(conversation, node) {
+    return node.systemPrompt !== undefined ? node.systemPrompt : getConversationSystemPrompt(conversation);
+}
+
+/**
+ * Build the messages leading up to a reply
+ * @param {Object} conversation - The conversation
+ * @param {string} promptId - The user message the reply answers
+ * @param {string} systemPrompt - The system prompt the reply was generated with
+ * @param {boolean} weighted - Mark earlier replies with `weight: 0`
+ * @returns {Array<Object>} System prompt and turns, oldest first
+ */
+function buildTrainingContext(conversation, promptId, systemPrompt, weighted) {
+    const messages = systemPrompt ? [{ role: "system", content: systemPrompt }] : [];
+
+    getPathTo(conversation, promptId).forEach(node => {
+        if (node.role === "user") {
+            messages.push({ role: "user", content: node.content });
+        } else {
+            messages.push(weighted
+                ? { role: "assistant", content: getPreferredContent(node), weight: 0 }
+                : { role: "assistant", content: getPreferredContent(node) });
+        }
+    });
+
+    return messages;
+}
+
+/**
+ * Build fine-tuning examples from rated and corrected replies
+ * @param {Array<Object>} conversations - Conversations to include
+ * @returns {Array<Object>} One { messages } example per reply
+ */
+function buildFineTuneDataset(conversations) {
+    return conversations.flatMap(conversation =>
+        Object.values(conversation.nodes)
+            .filter(node => node.role === "assistant" && node.feedback &&
+                (node.feedback.rating === "up" || node.feedback.correction))
+            .map(node => ({
+                messages: [
+                    ...buildTrainingContext(conversation, node.parentId, getReplySystemPrompt(conversation, node), true),
+                    { role: "assistant", content: getPreferredContent(node) }
+                ]
+            }))
+    );
+}
+
+/**
+ * Build chosen/rejected pairs from replies to the same prompt
+ * @param {Array<Object>} conversations - Conversations to include
+ * @returns {Array<Object>} One { prompt, chosen, rejected } record per pair
+ */
+function buildPreferencePairs(conversations) {
+    const records = [];
+
+    conversations.forEach(conversation => {
+        const replies = Object.values(conversation.nodes).filter(node => node.role === "assistant" && node.parentId);
+        const prompts = new Map();
+
+        replies.forEach(node => {
+            if (!prompts.has(node.parentId)) {
+                prompts.set(node.parentId, []);
+            }
+            prompts.get(node.parentId).push(node);
+        });
+
+        prompts.forEach((siblings, promptId) => {
+            const pairs = new Map();
+
+            // Both replies must have seen the same system prompt
+            const addPair = (chosenNode, chosen, rejectedNode) => {
+                const systemPrompt = getReplySystemPrompt(conversation, chosenNode);
+                const rejected = rejectedNode.content;
+
+                if (chosen !== rejected && systemPrompt === getReplySystemPrompt(conversation, rejectedNode)) {
+                    pairs.set(`${systemPrompt}\u0000${chosen}\u0000${rejected}`, { systemPrompt, chosen, rejected });
+                }
+            };
+
+            const rated = rating => siblings.filter(node => node.feedback && node.feedback.rating === rating);
+
+            rated("up").forEach(good => {
+                rated("down").forEach(bad => addPair(good, getPreferredContent(good), bad));
+            });
+
+            siblings.forEach(node => {
+                if (node.feedback && node.feedback.correction) {
+                    addPair(node, node.feedback.correction, node);
+                }
+
+                (node.preferredOver || [])
+                    .map(id => conversation.nodes[id])
+                    .filter(Boolean)
+                    .forEach(other => addPair(node, getPreferredContent(node), other));
+            });
+
+            pairs.forEach(({ systemPrompt, chosen, rejected }) => records.push({
+                prompt: buildTrainingContext(conversation, promptId, systemPrompt, false),
+                chosen: [{ role: "assistant", content: chosen }],
+                rejected: [{ role: "assistant", content: rejected }]
+            }));
+        });
+    });
+
+    return records;
+}
+
+/**
+ * Download a dataset built from every stored conversation
+ * @param {string} kind - "finetune" or "preferences"
+ * @returns {number} How many records were written (nothing is downloaded for 0)
+ */
+function exportDataset(kind) {
+    const records = kind === "preferences"
+        ? buildPreferencePairs(state.conversations)
+        : buildFineTuneDataset(state.conversations);
+
+    if (records.length > 0) {
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(
+            `${DATASET_EXPORTS[kind].name}-${date}.jsonl`,
+            records.map(record => JSON.stringify(record)).join("\n") + "\n",
+            "application/jsonl"
+        );
+    }
+
+    return records.length;
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Handle clicks on the dataset buttons of the export panel
+ * @param {MouseEvent} event - The click event
+ */
+function handleDatasetExportClick(event) {
+    const button = event.target.closest("[data-dataset]");
+    if (!button) return;
+
+    const count = exportDataset(button.dataset.dataset);
+
+    elements.exportStatus.textContent = count > 0
+        ? `Exported ${count} record${count !== 1 ? "s" : ""}.`
+        : button.dataset.dataset === "preferences"
+            ? "No pairs yet — rate several replies to the same prompt, or add a correction."
+            : "No examples yet — give replies a 👍 or a correction.";
+}
@@ -0,0 +1,398 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CONVERSATION LIBRARY
+   Sidebar for creating, switching and managing chats
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * localStorage key for the last active conversation id
+ * @constant {string}
+ */
+const ACTIVE_CONVERSATION_STORAGE_KEY = "chatbot-active-conversation";
+
+/**
+ * localStorage key for the sidebar collapsed preference
+ * @constant {string}
+ */
+const SIDEBAR_COLLAPSED_STORAGE_KEY = "chatbot-sidebar-collapsed";
+
+/**
+ * Default title for conversations that have not been named yet
+ * @constant {string}
+ */
+const DEFAULT_CONVERSATION_TITLE = "New chat";
+
+/**
+ * Maximum length of a title derived from the first message
+ * @constant {number}
+ */
+const AUTO_TITLE_LENGTH = 40;
+
+/* ============================================
+   INITIALIZATION
+   ============================================ */
+
+/**
+ * Load stored conversations and restore the last active one
+ * @description Falls back to an in-memory session if IndexedDB is unavailable.
+ * Chats started while loading are kept, and stay open if they have messages.
+ */
+async function initializeLibrary() {
+    applySidebarCollapsed(localStorage.getItem(SIDEBAR_COLLAPSED_STORAGE_KEY) === "true");
+
+    try {
+        const conversations = await getAllConversations();
+        const knownIds = new Set(state.conversations.map(conversation => conversation.id));
+
+        state.conversations = [
+            ...state.conversations,
+            ...conversations.filter(conversation => !knownIds.has(conversation.id)).map(normalizeConversationTree)
+        ];
+    } catch (error) {
+        console.error("Failed to load conversations:", error);
+    }
+
+    const lastId = localStorage.getItem(ACTIVE_CONVERSATION_STORAGE_KEY);
+    const last = state.conversations.find(conversation => conversation.id === lastId);
+
+    if (last && last !== state.activeConversation && !hasMessages(state.activeConversation)) {
+        state.activeConversation = last;
+        renderActiveConversation();
+    }
+
+    renderConversationList();
+    initializeDocuments();
+}
+
+/* ============================================
+   CONVERSATION ACTIONS
+   ============================================ */
+
+/**
+ * Start a new, empty conversation
+ * @description The previous conversation stays in the library; the new one is
+ * only stored once it has a message
+ */
+function startNewConversation() {
+    if (state.isStreaming) {
+        return;
+    }
+
+    // Carry the current persona and generation parameters over to the new chat
+    const params = { ...getConversationParams() };
+    const personaId = getConversationPersona().id;
+
+    state.activeConversation = createConversationRecord(DEFAULT_CONVERSATION_TITLE);
+    state.activeConversation.params = params;
+    state.activeConversation.personaId = personaId;
+    localStorage.removeItem(ACTIVE_CONVERSATION_STORAGE_KEY);
+
+    renderActiveConversation();
+    renderConversationList();
+    elements.messageInput.focus();
+}
+
+/**
+ * Switch to a stored conversation
+ * @param {string} id - The conversation id
+ */
+function switchConversation(id) {
+    if (state.isStreaming || state.activeConversation.id === id) {
+        return;
+    }
+
+    const conversation = state.conversations.find(item => item.id === id);
+    if (!conversation) return;
+
+    state.activeConversation = conversation;
+    localStorage.setItem(ACTIVE_CONVERSATION_STORAGE_KEY, id);
+
+    renderActiveConversation();
+    renderConversationList();
+    elements.messageInput.focus();
+}
+
+/**
+ * Rename a conversation
+ * @param {string} id - The conversation id
+ */
+async function renameConversation(id) {
+    const conversation = state.conversations.find(item => item.id === id);
+    if (!conversation) return;
+
+    const title = prompt("Rename conversation:", conversation.title);
+    if (title === null || !title.trim()) {
+        return;
+    }
+
+    conversation.title = title.trim();
+    conversation.titleEdited = true;
+
+    await persistConversation(conversation);
+    renderConversationList();
+}
+
+/**
+ * Pin or unpin a conversation
+ * @description Pinned conversations are listed first
+ * @param {string} id - The conversation id
+ */
+async function togglePinConversation(id) {
+    const conversation = state.conversations.find(item => item.id === id);
+    if (!conversation) return;
+
+    conversation.pinned = !conversation.pinned;
+
+    await persistConversation(conversation);
+    renderConversationList();
+}
+
+/**
+ * Delete a conversation after confirmation
+ * @param {string} id - The conversation id
+ */
+async function removeConversation(id) {
+    const conversation = state.conversations.find(item => item.id === id);
+    if (!conversation) return;
+
+    if (state.isStreaming && state.activeConversation.id === id) {
+        return;
+    }
+
+    if (!confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await deleteConversation(id);
+    } catch (error) {
+        console.error("Failed to delete conversation:", error);
+    }
+
+    deleteConversationDocuments(id);
+
+    state.conversations = state.conversations.filter(item => item.id !== id);
+
+    if (state.activeConversation.id === id) {
+        startNewConversation();
+    } else {
+        renderConversationList();
+    }
+}
+
+/**
+ * Save a conversation after its messages changed
+ * @description Bumps updatedAt, derives a title from the first message and
+ * adds the conversation to the library the first time it is saved
+ * @param {Object} [conversation] - The conversation to save (defaults to the active one)
+ */
+async function saveConversation(conversation = state.activeConversation) {
+    if (!hasMessages(conversation)) {
+        return;
+    }
+
+    conversation.updatedAt = Date.now();
+
+    if (!conversation.titleEdited && conversation.title === DEFAULT_CONVERSATION_TITLE) {
+        const firstUserMessage = conversation.nodes[conversation.rootIds[0]];
+        if (firstUserMessage) {
+            conversation.title = truncateText(firstUserMessage.content, AUTO_TITLE_LENGTH);
+        }
+    }
+
+    if (!state.conversations.includes(conversation)) {
+        state.conversations.push(conversation);
+    }
+
+    if (conversation === state.activeConversation) {
+        localStorage.setItem(ACTIVE_CONVERSATION_STORAGE_KEY, conversation.id);
+    }
+
+    await persistConversation(conversation);
+    renderConversationList();
+}
+
+/**
+ * Write a conversation to IndexedDB
+ * @description Storage failures are logged; the chat keeps working in memory
+ * @param {Object} conversation - The record to store
+ */
+async function persistConversation(conversation) {
+    try {
+        await putConversation(conversation);
+    } catch (error) {
+        console.error("Failed to save conversation:", error);
+    }
+}
+
+/* ============================================
+   RENDERING
+   ============================================ */
+
+/**
+ * Re-render the messages area from the active conversation
+ */
+function renderActiveConversation() {
+    const existing = elements.messagesArea.querySelectorAll(".message, .typing-indicator");
+    existing.forEach(node => node.remove());
+
+    state.messageCount = 0;
+
+    const path = getActivePath(state.activeConversation);
+    elements.emptyState.classList.toggle("hidden", path.length > 0);
+
+    renderMessageList(path);
+
+    // Jump straight to the latest message when opening a conversation
+    followLatestMessages();
+
+    renderParameters();
+    renderPersona();
+    loadAttachments();
+}
+
+/**
+ * Render the sidebar conversation list
+ * @description Pinned conversations first, then most recently updated
+ */
+function renderConversationList() {
+    const list = elements.conversationList;
+    list.innerHTML = "";
+
+    const sorted = [...state.conversations].sort((a, b) => {
+        if (a.pinned !== b.pinned) {
+            return a.pinned ? -1 : 1;
+        }
+        return b.updatedAt - a.updatedAt;
+    });
+
+    if (sorted.length === 0) {
+        const empty = document.createElement("p");
+        empty.className = "conversation-list-empty";
+        empty.textContent = "No saved conversations yet";
+        list.appendChild(empty);
+        return;
+    }
+
+    sorted.forEach(conversation => {
+        list.appendChild(createConversationItem(conversation));
+    });
+}
+
+/**
+ * Create a sidebar entry for a conversation
+ * @param {Object} conversation - The conversation record
+ * @returns {HTMLElement} The list item element
+ */
+function createConversationItem(conversation) {
+    const item = document.createElement("div");
+    item.className = "conversation-item";
+    item.dataset.id = conversation.id;
+    item.classList.toggle("active", conversation.id === state.activeConversation.id);
+    item.classList.toggle("pinned", conversation.pinned);
+
+    const openBtn = document.createElement("button");
+    openBtn.className = "conversation-open";
+    openBtn.dataset.action = "open";
+
+    const title = document.createElement("span");
+    title.className = "conversation-title";
+    title.textContent = conversation.title;
+
+    const date = document.createElement("span");
+    date.className = "conversation-date";
+    date.textContent = formatConversationDate(conversation.updatedAt);
+
+    openBtn.appendChild(title);
+    openBtn.appendChild(date);
+
+    const actions = document.createElement("div");
+    actions.className = "conversation-actions";
+
+    [
+        { action: "pin", label: conversation.pinned ? "Unpin" : "Pin", icon: ICONS.pin },
+        { action: "rename", label: "Rename", icon: ICONS.edit },
+        { action: "delete", label: "Delete", icon: ICONS.trash }
+    ].forEach(({ action, label, icon }) => {
+        const btn = document.createElement("button");
+        btn.className = "conversation-action-btn";
+        btn.dataset.action = action;
+        btn.setAttribute("aria-label", `${label} conversation`);
+        btn.title = label;
+        btn.innerHTML = icon;
+        actions.appendChild(btn);
+    });
+
+    item.appendChild(openBtn);
+    item.appendChild(actions);
+
+    return item;
+}
+
+/**
+ * Format a conversation timestamp for the sidebar
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Time for today's chats, otherwise a short date
+ */
+function formatConversationDate(timestamp) {
+    const date = new Date(timestamp);
+
+    if (date.toDateString() === new Date().toDateString()) {
+        return getCurrentTime(date);
+    }
+
+    return date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+/* ============================================
+   SIDEBAR EVENTS
+   ============================================ */
+
+/**
+ * Handle clicks inside the conversation list
+ * @description Delegated handler for open, pin, rename and delete actions
+ * @param {MouseEvent} event - The click event
+ */
+function handleConversationListClick(event) {
+    const button = event.target.closest("button[data-action]");
+    const item = event.target.closest(".conversation-item");
+    if (!button || !item) return;
+
+    const { id } = item.dataset;
+
+    switch (button.dataset.action) {
+        case "open":
+            switchConversation(id);
+            break;
+        case "pin":
+            togglePinConversation(id);
+            break;
+        case "rename":
+            renameConversation(id);
+            break;
+        case "delete":
+            removeConversation(id);
+            break;
+    }
+}
+
+/**
+ * Handle sidebar toggle button click
+ */
+function handleSidebarToggle() {
+    const collapsed = !elements.sidebar.classList.contains("collapsed");
+    applySidebarCollapsed(collapsed);
+    localStorage.setItem(SIDEBAR_COLLAPSED_STORAGE_KEY, String(collapsed));
+}
+
+/**
+ * Collapse or expand the sidebar
+ * @param {boolean} collapsed - Whether the sidebar should be collapsed
+ */
+function applySidebarCollapsed(collapsed) {
+    elements.sidebar.classList.toggle("collapsed", collapsed);
+    elements.sidebarToggle.setAttribute("aria-expanded", String(!collapsed));
+}
@@ -0,0 +1,261 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - MESSAGE LIST
+   Virtualized rendering of long conversations
+   ============================================ */
+
+/*
+ * Every message on the visible path keeps an element in the messages area,
+ * so ids, data-node-id lookups and DOM order work as before, but only
+ * messages near the viewport are filled in:
+ *
+ *   mounted     avatar, bubble and meta rendered from the tree node
+ *   unmounted   an empty `.message.unmounted` holding its last measured
+ *               (or, before the first render, estimated) height
+ *
+ * An IntersectionObserver mounts messages as they come within
+ * VIRTUAL_LIST_OVERSCAN of the viewport and empties those that leave it.
+ * When a message above the viewport changes height on mounting, the scroll
+ * position is corrected so whatever the user is reading stays in place.
+ *
+ * Messages without a node (errors, notices) and the reply being streamed are
+ * never unmounted. Without IntersectionObserver everything stays mounted.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Distance from the viewport within which messages are mounted
+ * @constant {number}
+ */
+const VIRTUAL_LIST_OVERSCAN = 1200;
+
+/**
+ * Number of latest messages rendered straight away when opening a conversation
+ * @constant {number}
+ */
+const VIRTUAL_LIST_INITIAL_COUNT = 12;
+
+/**
+ * Rough layout figures for estimating the height of unrendered messages
+ * @constant {Object<string, number>}
+ */
+const ESTIMATED_MESSAGE_LAYOUT = {
+    chrome: 72, // Bubble padding and the meta row
+    lineHeight: 24,
+    charsPerLine: 80
+};
+
+/* ============================================
+   VIRTUALIZATION
+   ============================================ */
+
+// Mounts and empties messages as they near or leave the viewport
+let messageObserver = null;
+
+// Observed messages currently outside the mount range
+const offscreenMessages = new Set();
+
+/**
+ * Set up the message list
+ */
+function initializeMessageList() {
+    if (typeof IntersectionObserver === "undefined") {
+        return;
+    }
+
+    messageObserver = new IntersectionObserver(handleMessageIntersections, {
+        root: elements.messagesArea,
+        rootMargin: `${VIRTUAL_LIST_OVERSCAN}px 0px`
+    });
+}
+
+/**
+ * Render a path of messages, mounting only the latest ones
+ * @description The rest are mounted by the observer once scrolled near
+ * @param {Array<Object>} path - Message nodes, oldest first
+ */
+function renderMessageList(path) {
+    if (messageObserver) {
+        messageObserver.disconnect();
+    }
+    offscreenMessages.clear();
+
+    const firstMounted = messageObserver ? path.length - VIRTUAL_LIST_INITIAL_COUNT : 0;
+
+    path.forEach((node, index) => {
+        if (index < firstMounted) {
+            appendMessagePlaceholder(node);
+        } else {
+            appendMessage(node.role === "user" ? "user" : "bot", node.content, null, node.timestamp, node.id);
+        }
+    });
+}
+
+/**
+ * Append an unmounted message
+ * @param {Object} node - The message's tree node
+ */
+function appendMessagePlaceholder(node) {
+    const messageDiv = document.createElement("div");
+    messageDiv.className = `message ${node.role === "user" ? "user" : "bot"} unmounted`;
+    messageDiv.dataset.nodeId = node.id;
+    messageDiv.style.height = `${estimateMessageHeight(node)}px`;
+
+    elements.messagesArea.appendChild(messageDiv);
+    observeMessage(messageDiv);
+
+    state.messageCount++;
+}
+
+/**
+ * Estimate how tall a message will be from its text
+ * @param {Object} node - The message's tree node
+ * @returns {number} Height in pixels
+ */
+function estimateMessageHeight(node) {
+    const { chrome, lineHeight, charsPerLine } = ESTIMATED_MESSAGE_LAYOUT;
+    const lines = node.content.split("\n").reduce(
+        (total, line) => total + Math.max(1, Math.ceil(line.length / charsPerLine)),
+        0
+    );
+
+    return chrome + lines * lineHeight;
+}
+
+/**
+ * Start virtualizing a message that shows a tree node
+ * @param {HTMLElement} messageDiv - The message element
+ */
+function observeMessage(messageDiv) {
+    if (messageObserver && messageDiv.dataset.nodeId) {
+        messageObserver.observe(messageDiv);
+    }
+}
+
+/**
+ * Fill an unmounted message from its tree node
+ * @param {HTMLElement} messageDiv - The message element
+ */
+function mountMessage(messageDiv) {
+    const node = state.activeConversation.nodes[messageDiv.dataset.nodeId];
+
+    if (!messageDiv.classList.contains("unmounted") || !node) {
+        return;
+    }
+
+    const area = elements.messagesArea;
+    const before = messageDiv.getBoundingClientRect();
+    const isAbove = before.top < area.getBoundingClientRect().top;
+
+    messageDiv.classList.remove("unmounted");
+    messageDiv.style.height = "";
+    renderMessageBody(messageDiv, node.role === "user" ? "user" : "bot", node.content, node.timestamp);
+
+    // Keep the content below in place when a message above the viewport grows or shrinks
+    if (isAbove) {
+        area.scrollTop += messageDiv.getBoundingClientRect().height - before.height;
+    }
+}
+
+/**
+ * Empty a mounted message, keeping its height
+ * @param {HTMLElement} messageDiv - The message element
+ * @param {number} height - Its current height in pixels
+ */
+function unmountMessage(messageDiv, height) {
+    messageDiv.style.height = `${height}px`;
+    messageDiv.replaceChildren();
+    messageDiv.classList.add("unmounted");
+}
+
+/**
+ * Check whether a message can be emptied without losing anything
+ * @description Not while a reply streams, nor while the message is being
+ * edited or corrected, has focus or is running code
+ * @param {HTMLElement} messageDiv - The message element
+ * @returns {boolean} True if it can be unmounted
+ */
+function canUnmountMessage(messageDiv) {
+    return !state.isStreaming &&
+        messageDiv.isConnected &&
+        !messageDiv.classList.contains("unmounted") &&
+        !messageDiv.classList.contains("editing") &&
+        !messageDiv.querySelector(".correction-editor") &&
+        !messageDiv.contains(document.activeElement) &&
+        !messageDiv.querySelector("[data-run-id]");
+}
+
+/**
+ * Unmount offscreen messages that were kept while they could not be
+ * @description Called once a streamed reply is finished
+ */
+function releaseOffscreenMessages() {
+    offscreenMessages.forEach(messageDiv => {
+        if (canUnmountMessage(messageDiv)) {
+            unmountMessage(messageDiv, messageDiv.getBoundingClientRect().height);
+        }
+    });
+}
+
+/**
+ * Mount a message and scroll it into view
+ * @param {string} nodeId - The message's node id
+ * @param {string} block - Vertical alignment for scrollIntoView
+ * @returns {HTMLElement|null} The message element, if it is on the visible path
+ */
+function revealMessage(nodeId, block) {
+    const messageDiv = elements.messagesArea.querySelector(`[data-node-id="${nodeId}"]`);
+
+    if (!messageDiv) {
+        return null;
+    }
+
+    mountMessage(messageDiv);
+    state.isFollowingLatest = false;
+    messageDiv.scrollIntoView({ block });
+
+    return messageDiv;
+}
+
+/**
+ * Keep following new content at the bottom, and scroll there
+ */
+function followLatestMessages() {
+    state.isFollowingLatest = true;
+    scrollToBottom();
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Mount messages entering the overscan range and empty those leaving it
+ * @param {Array<IntersectionObserverEntry>} entries - Changed messages
+ */
+function handleMessageIntersections(entries) {
+    entries.forEach(({ target, isIntersecting, boundingClientRect }) => {
+        if (isIntersecting) {
+            offscreenMessages.delete(target);
+            mountMessage(target);
+            return;
+        }
+
+        offscreenMessages.add(target);
+
+        if (canUnmountMessage(target)) {
+            unmountMessage(target, boundingClientRect.height);
+        }
+    });
+}
+
+/**
+ * Follow new content only while the user is at the bottom
+ * @description Scrolling up while a reply streams leaves the view where it is
+ */
+function handleMessagesScroll() {
+    const { messagesArea } = elements;
+    state.isFollowingLatest = messagesArea.scrollHeight - messagesArea.scrollTop - messagesArea.clientHeight < AUTO_SCROLL_THRESHOLD;
+}
@@ -0,0 +1,386 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - METRICS
+   Per-reply timings and session statistics
+   ============================================ */
+
+/*
+ * Every reply records, in milliseconds from the moment it was requested:
+ *
+ *   latency     until the response headers arrived
+ *   firstToken  until the first chunk of text arrived
+ *   duration    until the stream ended
+ *
+ * plus the token count (as reported by the server when its stream carries
+ * usage, otherwise estimated) and the generation rate (tokens per second
+ * between the first chunk and the end). The metrics are stored on the reply
+ * and collected for the session so backends can be compared.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Size of the throughput chart in the stats panel
+ * @constant {{width: number, height: number, padding: number}}
+ */
+const STATS_CHART_SIZE = { width: 560, height: 140, padding: 24 };
+
+/* ============================================
+   RECORDING
+   ============================================ */
+
+// Metrics of the replies completed since the page was opened
+const sessionMetrics = [];
+
+/**
+ * Start timing a reply
+ * @param {Object} profile - The endpoint profile the request goes to
+ * @returns {{markResponse: function(), markChunk: function(), finish: function(string, Object=): Object}}
+ * The recorder; `finish` returns the metrics for the generated text, given
+ * the stream's "done" event if it had one
+ */
+function createMetricsRecorder(profile) {
+    const startedAt = performance.now();
+    let responseAt = null;
+    let firstChunkAt = null;
+
+    return {
+        markResponse() {
+            responseAt = performance.now();
+        },
+
+        markChunk() {
+            if (firstChunkAt === null) {
+                firstChunkAt = performance.now();
+            }
+        },
+
+        finish(text, done = null) {
+            const endedAt = performance.now();
+            const usage = done ? done.usage : null;
+            const model = (done && done.model) || profile.model;
+            const tokens = usage ? usage.completionTokens : estimateTokens(text);
+            const generationSeconds = (endedAt - (firstChunkAt ?? endedAt)) / 1000;
+
+            return {
+                latency: Math.round((responseAt ?? endedAt) - startedAt),
+                firstToken: Math.round((firstChunkAt ?? endedAt) - startedAt),
+                duration: Math.round(endedAt - startedAt),
+                tokens,
+                exactTokens: Boolean(usage),
+                promptTokens: usage ? usage.promptTokens : null,
+                tokensPerSecond: generationSeconds > 0 ? Math.round(tokens / generationSeconds * 10) / 10 : null,
+                backend: model ? `${profile.name} · ${model}` : profile.name,
+                completedAt: Date.now()
+            };
+        }
+    };
+}
+
+/**
+ * Combine the metrics of a reply and its continuation
+ * @description The reply keeps its first latency and first-token times;
+ * tokens and durations add up and the rate covers both segments
+ * @param {Object|undefined} earlier - Metrics the reply already had
+ * @param {Object} later - Metrics of the continued segment
+ * @returns {Object} Metrics for the whole reply
+ */
+function mergeMetrics(earlier, later) {
+    if (!earlier) {
+        return later;
+    }
+
+    const tokens = earlier.tokens + later.tokens;
+    const generationSeconds = [earlier, later]
+        .reduce((total, segment) => total + (segment.duration - segment.firstToken) / 1000, 0);
+
+    return {
+        ...later,
+        latency: earlier.latency,
+        firstToken: earlier.firstToken,
+        duration: earlier.duration + later.duration,
+        tokens,
+        exactTokens: earlier.exactTokens && later.exactTokens,
+        promptTokens: earlier.promptTokens,
+        tokensPerSecond: generationSeconds > 0 ? Math.round(tokens / generationSeconds * 10) / 10 : null
+    };
+}
+
+/**
+ * Add a reply's metrics to the session statistics
+ * @param {Object} metrics - Metrics from a recorder
+ */
+function recordSessionMetrics(metrics) {
+    sessionMetrics.push(metrics);
+
+    if (!elements.statsPanel.classList.contains("hidden")) {
+        renderStatsPanel();
+    }
+}
+
+/* ============================================
+   FORMATTING
+   ============================================ */
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Milliseconds
+ * @returns {string} e.g. "420 ms" or "1.3 s"
+ */
+function formatDuration(ms) {
+    if (ms === null || ms === undefined) {
+        return "–";
+    }
+
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Format a tokens-per-second rate for display
+ * @param {number|null} rate - Tokens per second
+ * @returns {string} e.g. "12.4 tok/s"
+ */
+function formatRate(rate) {
+    return rate === null || rate === undefined ? "–" : `${rate.toFixed(1)} tok/s`;
+}
+
+/**
+ * Format a reply's token count for display
+ * @param {Object} metrics - The reply's metrics
+ * @returns {string} e.g. "128", or "~128" when estimated
+ */
+function formatTokenCount(metrics) {
+    return metrics.exactTokens ? String(metrics.tokens) : `~${metrics.tokens}`;
+}
+
+/**
+ * Show a reply's metrics in its meta row
+ * @param {HTMLElement} messageDiv - The bot message element
+ * @param {Object} metrics - The reply's metrics
+ */
+function renderMessageMetrics(messageDiv, metrics) {
+    const meta = messageDiv.querySelector(".message-meta");
+    meta.querySelectorAll(".message-metrics").forEach(node => node.remove());
+
+    const label = document.createElement("span");
+    label.className = "message-metrics";
+    const tokens = formatTokenCount(metrics);
+
+    label.textContent = `${formatDuration(metrics.firstToken)} · ${tokens} tok · ${formatRate(metrics.tokensPerSecond)}`;
+    label.title = [
+        `Latency ${formatDuration(metrics.latency)}`,
+        `first token ${formatDuration(metrics.firstToken)}`,
+        `total ${formatDuration(metrics.duration)}`,
+        `${tokens} tokens at ${formatRate(metrics.tokensPerSecond)}`,
+        metrics.promptTokens !== null && metrics.promptTokens !== undefined ? `${metrics.promptTokens} prompt tokens` : null,
+        metrics.backend
+    ].filter(Boolean).join(" · ");
+
+    meta.querySelector(".message-timestamp").after(label);
+}
+
+/* ============================================
+   SESSION STATISTICS
+   ============================================ */
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} values - The sample
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} The percentile, or null for an empty sample
+ */
+function percentile(values, p) {
+    if (values.length === 0) {
+        return null;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil(p / 100 * sorted.length);
+
+    return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Aggregate a list of reply metrics
+ * @param {Array<Object>} records - Reply metrics
+ * @returns {Object} Counts, latency percentiles and throughput
+ */
+function summarizeMetrics(records) {
+    const latencies = records.map(record => record.latency);
+    const firstTokens = records.map(record => record.firstToken);
+    const rates = records.map(record => record.tokensPerSecond).filter(rate => rate !== null);
+
+    return {
+        replies: records.length,
+        tokens: records.reduce((total, record) => total + record.tokens, 0),
+        latencyP50: percentile(latencies, 50),
+        latencyP95: percentile(latencies, 95),
+        firstTokenP50: percentile(firstTokens, 50),
+        firstTokenP95: percentile(firstTokens, 95),
+        meanRate: rates.length > 0 ? rates.reduce((total, rate) => total + rate, 0) / rates.length : null
+    };
+}
+
+/**
+ * Open the session stats panel
+ */
+function openStatsPanel() {
+    renderStatsPanel();
+    elements.statsPanel.classList.remove("hidden");
+}
+
+/**
+ * Close the session stats panel
+ */
+function closeStatsPanel() {
+    elements.statsPanel.classList.add("hidden");
+}
+
+/**
+ * Render the summary, throughput chart and per-backend table
+ */
+function renderStatsPanel() {
+    const summary = summarizeMetrics(sessionMetrics);
+
+    elements.statsSummary.innerHTML = "";
+    [
+        ["Replies", String(summary.replies)],
+        ["Latency p50", formatDuration(summary.latencyP50)],
+        ["Latency p95", formatDuration(summary.latencyP95)],
+        ["First token p50", formatDuration(summary.firstTokenP50)],
+        ["First token p95", formatDuration(summary.firstTokenP95)],
+        ["Mean throughput", formatRate(summary.meanRate)]
+    ].forEach(([label, value]) => {
+        const card = document.createElement("div");
+        card.className = "stats-card";
+
+        const valueEl = document.createElement("span");
+        valueEl.className = "stats-value";
+        valueEl.textContent = value;
+
+        const labelEl = document.createElement("span");
+        labelEl.className = "stats-label";
+        labelEl.textContent = label;
+
+        card.appendChild(valueEl);
+        card.appendChild(labelEl);
+        elements.statsSummary.appendChild(card);
+    });
+
+    renderThroughputChart();
+    renderBackendTable();
+}
+
+/**
+ * Draw tokens per second over time as an SVG line chart
+ */
+function renderThroughputChart() {
+    const { width, height, padding } = STATS_CHART_SIZE;
+    const points = sessionMetrics.filter(record => record.tokensPerSecond !== null);
+    const container = elements.statsChart;
+    container.innerHTML = "";
+
+    if (points.length === 0) {
+        const empty = document.createElement("p");
+        empty.className = "form-hint";
+        empty.textContent = "No replies yet this session.";
+        container.appendChild(empty);
+        return;
+    }
+
+    const svgNs = "http://www.w3.org/2000/svg";
+    const svg = document.createElementNS(svgNs, "svg");
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("role", "img");
+    svg.setAttribute("aria-label", "Tokens per second over time");
+
+    const start = points[0].completedAt;
+    const span = Math.max(points[points.length - 1].completedAt - start, 1);
+    const maxRate = Math.max(...points.map(point => point.tokensPerSecond), 1);
+
+    const x = point => points.length === 1
+        ? width / 2
+        : padding + (point.completedAt - start) / span * (width - 2 * padding);
+    const y = point => height - padding - point.tokensPerSecond / maxRate * (height - 2 * padding);
+
+    const axis = document.createElementNS(svgNs, "line");
+    axis.setAttribute("class", "stats-axis");
+    axis.setAttribute("x1", padding);
+    axis.setAttribute("x2", width - padding);
+    axis.setAttribute("y1", height - padding);
+    axis.setAttribute("y2", height - padding);
+    svg.appendChild(axis);
+
+    const line = document.createElementNS(svgNs, "polyline");
+    line.setAttribute("class", "stats-line");
+    line.setAttribute("points", points.map(point => `${x(point)},${y(point)}`).join(" "));
+    svg.appendChild(line);
+
+    points.forEach(point => {
+        const dot = document.createElementNS(svgNs, "circle");
+        dot.setAttribute("class", "stats-dot");
+        dot.setAttribute("cx", x(point));
+        dot.setAttribute("cy", y(point));
+        dot.setAttribute("r", 3);
+
+        const title = document.createElementNS(svgNs, "title");
+        title.textContent = `${formatRate(point.tokensPerSecond)} · ${point.backend} · ${getCurrentTime(new Date(point.completedAt))}`;
+        dot.appendChild(title);
+
+        svg.appendChild(dot);
+    });
+
+    const maxLabel = document.createElementNS(svgNs, "text");
+    maxLabel.setAttribute("class", "stats-axis-label");
+    maxLabel.setAttribute("x", padding);
+    maxLabel.setAttribute("y", padding - 8);
+    maxLabel.textContent = formatRate(maxRate);
+    svg.appendChild(maxLabel);
+
+    container.appendChild(svg);
+}
+
+/**
+ * Render per-backend statistics as a table
+ */
+function renderBackendTable() {
+    const table = elements.statsTable;
+    table.innerHTML = "";
+
+    const groups = new Map();
+    sessionMetrics.forEach(record => {
+        if (!groups.has(record.backend)) {
+            groups.set(record.backend, []);
+        }
+        groups.get(record.backend).push(record);
+    });
+
+    const header = document.createElement("tr");
+    ["Backend", "Replies", "Latency p50 / p95", "First token p50", "Mean tok/s", "Tokens"].forEach(text => {
+        const th = document.createElement("th");
+        th.textContent = text;
+        header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    groups.forEach((records, backend) => {
+        const summary = summarizeMetrics(records);
+        const row = document.createElement("tr");
+
+        [
+            backend,
+            String(summary.replies),
+            `${formatDuration(summary.latencyP50)} / ${formatDuration(summary.latencyP95)}`,
+            formatDuration(summary.firstTokenP50),
+            formatRate(summary.meanRate),
+            `~${summary.tokens}`
+        ].forEach(text => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            row.appendChild(td);
+        });
+
+        table.appendChild(row);
+    });
+}
@@ -0,0 +1,298 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - MOCK BACKEND
+   Scripted replies for demos and UI tests
+   ============================================ */
+
+/*
+ * The "mock" provider answers requests in the page instead of over the
+ * network, with the same NDJSON event stream as the notebook backend, so the
+ * whole chat can be used without a GPU.
+ *
+ * Each request takes the next reply queued with queueMockReplies(), or else
+ * a canned reply picked by a word in the prompt: "code", "long" (longer than
+ * the default max tokens, so it ends cut off), otherwise a markdown sample.
+ * Replies are streamed `chunkSize` characters at a time, `delay` ms apart,
+ * the first one after `firstTokenDelay` ms. `failure` injects an error:
+ *
+ *   http500       the request is answered with HTTP 500
+ *   disconnect    the stream drops halfway through the reply
+ *   unreachable   the request fails as if the server were down
+ *
+ * These options are set on a mock profile in Backend settings; a queued reply
+ * may override any of them for itself. Opening the app with `?mock` switches
+ * to a mock profile for the session, configured from the query string:
+ *
+ *   ?mock&chunk=4&delay=20&first=1500&fail=disconnect
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Streaming options of a mock profile that does not set its own
+ * @constant {{chunkSize: number, delay: number, firstTokenDelay: number, failure: string}}
+ */
+const MOCK_DEFAULTS = {
+    chunkSize: 6,
+    delay: 25,
+    firstTokenDelay: 400,
+    failure: "none"
+};
+
+/**
+ * Failures the mock backend can inject, with their labels
+ * @constant {Object<string, string>}
+ */
+const MOCK_FAILURES = {
+    none: "None",
+    http500: "HTTP 500 error",
+    disconnect: "Disconnect mid-stream",
+    unreachable: "Server unreachable"
+};
+
+/**
+ * Profile used when the app is opened with `?mock`
+ * @constant {Object}
+ */
+const MOCK_PROFILE = {
+    ...DEFAULT_PROFILE,
+    id: "mock",
+    name: "Demo (mock)",
+    provider: "mock",
+    baseUrl: "mock://local",
+    model: "mock",
+    mock: { ...MOCK_DEFAULTS }
+};
+
+/**
+ * Canned replies, keyed by the word in the prompt that selects them
+ * @constant {Object<string, string>}
+ */
+const MOCK_REPLIES = {
+    markdown: [
+        "## A reply from the mock backend",
+        "",
+        "No server is running: this text is streamed by the page itself, so the chat can be **demoed** and *tested* offline.",
+        "",
+        "- Ask for `code` to get a code block",
+        "- Ask for something `long` to hit the length limit",
+        "",
+        "| Option | Effect |",
+        "| --- | --- |",
+        "| Chunk size | Characters per streamed chunk |",
+        "| Delay | Pause between chunks |",
+        "| First token delay | Pause before the first chunk |",
+        "",
+        "> Failures can be injected from Backend settings."
+    ].join("\n"),
+
+    code: [
+        "Here is a small Python function:",
+        "",
+        "```python",
+        "def fibonacci(n):",
+        "    \"\"\"Return the first n Fibonacci numbers.\"\"\"",
+        "    numbers = [0, 1]",
+        "    while len(numbers) < n:",
+        "        numbers.append(numbers[-1] + numbers[-2])",
+        "    return numbers[:n]",
+        "",
+        "print(fibonacci(10))",
+        "```",
+        "",
+        "It builds the list iteratively, so it runs in linear time."
+    ].join("\n"),
+
+    long: Array.from({ length: 12 }, (_, index) =>
+        `${index + 1}. Paragraph ${index + 1} of a deliberately long reply. It keeps going so that ` +
+        "long outputs, scrolling while streaming and the length limit can all be tried out."
+    ).join("\n\n")
+};
+
+/* ============================================
+   SCRIPTED REPLIES
+   ============================================ */
+
+// Replies queued for the next requests, oldest first
+let mockReplyQueue = [];
+
+/**
+ * Queue replies for the next requests to a mock profile
+ * @description Each request takes one reply, including requests that fail,
+ * so a retry gets the next one. Health checks take none.
+ * @param {Array<string|Object>} replies - Reply texts, or objects with
+ * `text` and any of the MOCK_DEFAULTS options plus `finishReason`
+ */
+function queueMockReplies(replies) {
+    mockReplyQueue.push(...replies.map(reply => typeof reply === "string" ? { text: reply } : reply));
+}
+
+/**
+ * Drop any queued replies
+ */
+function clearMockReplies() {
+    mockReplyQueue = [];
+}
+
+/**
+ * Pick the canned reply for a prompt
+ * @param {string} prompt - The latest user message
+ * @returns {string} The reply text
+ */
+function pickMockReply(prompt) {
+    const words = prompt.toLowerCase().match(/\w+/g) || [];
+    const name = Object.keys(MOCK_REPLIES).find(key => words.includes(key));
+
+    return MOCK_REPLIES[name || "markdown"];
+}
+
+/* ============================================
+   MOCK SERVER
+   ============================================ */
+
+/**
+ * Get a profile's mock options
+ * @param {Object} profile - The endpoint profile
+ * @returns {Object} Options from MOCK_DEFAULTS, overridden by the profile's
+ */
+function getMockOptions(profile) {
+    return { ...MOCK_DEFAULTS, ...profile.mock };
+}
+
+/**
+ * Answer a request as the mock backend
+ * @description Stands in for fetch; GET requests are health checks
+ * @param {string} url - The request URL
+ * @param {Object} init - The fetch options
+ * @param {Object} profile - The mock profile
+ * @returns {Promise<Response>} The response
+ */
+async function fetchMock(url, init, profile) {
+    const isHealthCheck = (init.method || "GET") === "GET";
+    const scripted = isHealthCheck ? null : mockReplyQueue.shift();
+    const options = { ...getMockOptions(profile), ...scripted };
+
+    if (options.failure === "unreachable") {
+        throw new TypeError("Failed to fetch");
+    }
+
+    if (isHealthCheck) {
+        return new Response(JSON.stringify({ status: "Mock backend running" }), {
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    if (options.failure === "http500") {
+        return new Response(JSON.stringify({ detail: "Injected mock failure" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    const body = JSON.parse(init.body);
+    const prompt = [...body.messages].reverse().find(message => message.role === "user");
+    const text = scripted && scripted.text !== undefined ? scripted.text : pickMockReply(prompt ? prompt.content : "");
+
+    return new Response(createMockStream(text, body, options, init.signal), {
+        headers: { "Content-Type": NDJSON_MEDIA_TYPE }
+    });
+}
+
+/**
+ * Wait before the next chunk
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function waitForMock(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Stream a reply as NDJSON events
+ * @description Aborting the signal errors the stream the way fetch does
+ * @param {string} text - The full reply
+ * @param {Object} body - The request body, for max_tokens and the prompt
+ * @param {Object} options - Mock options for this reply
+ * @param {AbortSignal} [signal] - The request's abort signal
+ * @returns {ReadableStream} The response body
+ */
+function createMockStream(text, body, options, signal) {
+    const encoder = new TextEncoder();
+    const maxChars = body.max_tokens ? body.max_tokens * CHARS_PER_TOKEN : Infinity;
+    const reply = text.slice(0, maxChars);
+    const finishReason = options.finishReason || (reply.length < text.length ? "length" : "stop");
+
+    const chunkSize = Math.max(1, options.chunkSize);
+    const chunks = [];
+    for (let index = 0; index < reply.length; index += chunkSize) {
+        chunks.push(reply.slice(index, index + chunkSize));
+    }
+
+    const send = (controller, event) => controller.enqueue(encoder.encode(JSON.stringify(event) + "\n"));
+
+    return new ReadableStream({
+        async start(controller) {
+            const abort = () => controller.error(new DOMException("The operation was aborted.", "AbortError"));
+            if (signal) {
+                signal.addEventListener("abort", abort, { once: true });
+            }
+
+            try {
+                for (let index = 0; index < chunks.length; index++) {
+                    await waitForMock(index === 0 ? options.firstTokenDelay : options.delay);
+                    if (signal && signal.aborted) return;
+
+                    if (options.failure === "disconnect" && index === Math.floor(chunks.length / 2)) {
+                        controller.error(new TypeError("network error"));
+                        return;
+                    }
+
+                    send(controller, { type: "token", text: chunks[index] });
+                }
+
+                send(controller, {
+                    type: "done",
+                    finish_reason: finishReason,
+                    usage: {
+                        prompt_tokens: estimateMessagesTokens(body.messages),
+                        completion_tokens: estimateTokens(reply)
+                    },
+                    model: "mock"
+                });
+                controller.close();
+            } finally {
+                if (signal) {
+                    signal.removeEventListener("abort", abort);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Get the mock profile requested by the page's query string
+ * @returns {Object|null} A mock profile configured from `?mock`, or null
+ */
+function getMockProfileFromUrl() {
+    const query = new URLSearchParams(window.location.search);
+
+    if (!query.has("mock")) {
+        return null;
+    }
+
+    const number = (name, fallback) => {
+        const value = parseInt(query.get(name), 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    return {
+        ...MOCK_PROFILE,
+        mock: {
+            chunkSize: Math.max(1, number("chunk", MOCK_DEFAULTS.chunkSize)),
+            delay: number("delay", MOCK_DEFAULTS.delay),
+            firstTokenDelay: number("first", MOCK_DEFAULTS.firstTokenDelay),
+            failure: query.get("fail") in MOCK_FAILURES ? query.get("fail") : MOCK_DEFAULTS.failure
+        }
+    };
+}
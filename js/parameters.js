@@ -0,0 +1,208 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - GENERATION PARAMETERS
+   Per-conversation sampling settings and presets
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Sampling presets
+ * @constant {Object<string, Object>}
+ * @description "balanced" matches the values hard-coded in the notebook.
+ * Presets only touch sampling; max tokens, stop sequences and seed are kept.
+ */
+const PARAMETER_PRESETS = {
+    precise: {
+        temperature: 0.2,
+        top_p: 0.8,
+        top_k: 20,
+        repetition_penalty: 1.1
+    },
+    balanced: {
+        temperature: 0.55,
+        top_p: 0.9,
+        top_k: 50,
+        repetition_penalty: 1.15
+    },
+    creative: {
+        temperature: 0.9,
+        top_p: 0.95,
+        top_k: 100,
+        repetition_penalty: 1.05
+    }
+};
+
+/**
+ * Parameters for conversations that have none yet
+ * @constant {Object}
+ */
+const DEFAULT_PARAMETERS = {
+    ...PARAMETER_PRESETS.balanced,
+    max_tokens: 150,
+    stop: [],
+    seed: null
+};
+
+/**
+ * Numeric parameter limits, used to clamp typed values
+ * @constant {Object<string, {min: number, max: number}>}
+ */
+const PARAMETER_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    top_p: { min: 0, max: 1 },
+    top_k: { min: 0, max: 200 },
+    max_tokens: { min: 1, max: 4096 },
+    repetition_penalty: { min: 1, max: 2 }
+};
+
+/* ============================================
+   PARAMETER STATE
+   ============================================ */
+
+/**
+ * Get a conversation's generation parameters
+ * @description Conversations saved before parameters existed get the defaults
+ * @param {Object} [conversation] - The conversation (defaults to the active one)
+ * @returns {Object} The parameters
+ */
+function getConversationParams(conversation = state.activeConversation) {
+    if (!conversation.params) {
+        conversation.params = { ...DEFAULT_PARAMETERS };
+    }
+
+    return conversation.params;
+}
+
+/**
+ * Update one parameter of the active conversation
+ * @param {string} name - The parameter name
+ * @param {*} value - The new value
+ */
+function setConversationParam(name, value) {
+    getConversationParams()[name] = value;
+    renderParameters();
+}
+
+/**
+ * Apply a sampling preset to the active conversation
+ * @param {string} presetName - Key of PARAMETER_PRESETS
+ */
+function applyPreset(presetName) {
+    const preset = PARAMETER_PRESETS[presetName];
+    if (!preset) return;
+
+    Object.assign(getConversationParams(), preset);
+    renderParameters();
+    saveConversationParams();
+}
+
+/**
+ * Find the preset the current parameters match, if any
+ * @param {Object} params - Generation parameters
+ * @returns {string|null} The preset name
+ */
+function findMatchingPreset(params) {
+    const match = Object.entries(PARAMETER_PRESETS).find(([, preset]) =>
+        Object.keys(preset).every(key => preset[key] === params[key])
+    );
+
+    return match ? match[0] : null;
+}
+
+/**
+ * Persist parameter changes
+ * @description Unsaved (empty) conversations keep their parameters in memory
+ * until the first message is sent
+ */
+function saveConversationParams() {
+    const conversation = state.activeConversation;
+
+    if (state.conversations.includes(conversation)) {
+        persistConversation(conversation);
+    }
+}
+
+/* ============================================
+   PARAMETERS DRAWER
+   ============================================ */
+
+/**
+ * Sync the drawer controls with the active conversation
+ */
+function renderParameters() {
+    const params = getConversationParams();
+
+    elements.parametersDrawer.querySelectorAll("[data-param]").forEach(control => {
+        const name = control.dataset.param;
+
+        if (name === "stop") {
+            control.value = params.stop.join("\n");
+        } else if (name === "seed") {
+            control.value = params.seed === null ? "" : params.seed;
+        } else if (document.activeElement !== control) {
+            control.value = params[name];
+        }
+    });
+
+    const activePreset = findMatchingPreset(params);
+    elements.parametersDrawer.querySelectorAll("[data-preset]").forEach(button => {
+        button.classList.toggle("active", button.dataset.preset === activePreset);
+    });
+}
+
+/**
+ * Handle input on any drawer control
+ * @description Range sliders and their number inputs share a data-param name
+ * @param {Event} event - The input event
+ */
+function handleParameterInput(event) {
+    const control = event.target.closest("[data-param]");
+    if (!control) return;
+
+    const name = control.dataset.param;
+
+    if (name === "stop") {
+        const stops = control.value.split("\n").filter(stop => stop.length > 0);
+        getConversationParams().stop = stops;
+        return;
+    }
+
+    if (name === "seed") {
+        const seed = parseInt(control.value, 10);
+        getConversationParams().seed = Number.isNaN(seed) ? null : seed;
+        return;
+    }
+
+    const value = parseFloat(control.value);
+    if (Number.isNaN(value)) return;
+
+    const { min, max } = PARAMETER_LIMITS[name];
+    const clamped = Math.min(max, Math.max(min, value));
+
+    setConversationParam(name, name === "top_k" || name === "max_tokens" ? Math.round(clamped) : clamped);
+}
+
+/**
+ * Handle clicks on preset buttons
+ * @param {MouseEvent} event - The click event
+ */
+function handlePresetClick(event) {
+    const button = event.target.closest("[data-preset]");
+    if (button) {
+        applyPreset(button.dataset.preset);
+    }
+}
+
+/**
+ * Handle parameters drawer toggle button click
+ */
+function handleParametersToggle() {
+    const isOpen = elements.parametersDrawer.classList.toggle("hidden") === false;
+    elements.parametersToggle.setAttribute("aria-expanded", String(isOpen));
+
+    if (isOpen) {
+        renderParameters();
+    }
+}
@@ -0,0 +1,398 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - PERSONAS
+   Named system prompts with their own defaults
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * localStorage key for the saved personas
+ * @constant {string}
+ */
+const PERSONAS_STORAGE_KEY = "chatbot-personas";
+
+/**
+ * localStorage key for the persona new conversations start with
+ * @constant {string}
+ */
+const ACTIVE_PERSONA_STORAGE_KEY = "chatbot-active-persona";
+
+/**
+ * Personas created on first run
+ * @constant {Array<Object>}
+ * @description The first one reproduces the system prompt hard-coded in the
+ * notebook, so behaviour is unchanged until the user picks another
+ */
+const DEFAULT_PERSONAS = [
+    {
+        id: "academic",
+        name: "Academic assistant",
+        icon: "🎓",
+        systemPrompt: "You are a concise academic assistant. " +
+            "Explain concepts in simple language suitable for a beginner. " +
+            "Limit responses to 5 bullet points maximum. " +
+            "Maximum 90 words total. " +
+            "Use short sentences. " +
+            "End with one very short example (1 sentence). " +
+            "Do not add extra commentary.",
+        params: { ...PARAMETER_PRESETS.balanced, max_tokens: 150 },
+        suggestions: [
+            "Explain quantum computing in simple terms",
+            "Write a Python function to calculate fibonacci numbers",
+            "What are the key differences between supervised and unsupervised learning?",
+            "Suggest some creative project ideas for learning NLP"
+        ]
+    },
+    {
+        id: "coder",
+        name: "Code helper",
+        icon: "💻",
+        systemPrompt: "You are a senior software engineer. " +
+            "Answer with working, idiomatic code in fenced code blocks. " +
+            "Keep explanations brief and mention edge cases.",
+        params: { ...PARAMETER_PRESETS.precise, max_tokens: 512 },
+        suggestions: [
+            "Write a Python function to calculate fibonacci numbers",
+            "Explain the difference between a list and a tuple in Python",
+            "Write a SQL query to find duplicate emails in a users table",
+            "How do I debounce a function in JavaScript?"
+        ]
+    },
+    {
+        id: "writer",
+        name: "Writing coach",
+        icon: "✍️",
+        systemPrompt: "You are a friendly writing coach. " +
+            "Help the user write clearly and concisely. " +
+            "When editing text, show the revised version first, then list the main changes.",
+        params: { ...PARAMETER_PRESETS.creative, max_tokens: 400 },
+        suggestions: [
+            "Make this paragraph more concise",
+            "Write a short abstract for an NLP project report",
+            "Suggest a catchy title for a blog post about quantization",
+            "Rewrite this email to sound more professional"
+        ]
+    }
+];
+
+/* ============================================
+   PERSONA STATE
+   ============================================ */
+
+// Parameters the persona being edited will apply (null = keep current)
+let editingPersonaParams = null;
+
+/**
+ * Load personas from localStorage
+ */
+function initializePersonas() {
+    let personas = [];
+
+    try {
+        personas = JSON.parse(localStorage.getItem(PERSONAS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error("Failed to read personas:", error);
+    }
+
+    state.personas = personas.length > 0 ? personas : DEFAULT_PERSONAS.map(persona => ({ ...persona }));
+    state.defaultPersonaId = localStorage.getItem(ACTIVE_PERSONA_STORAGE_KEY) || state.personas[0].id;
+
+    renderPersona();
+}
+
+/**
+ * Write personas to localStorage
+ */
+function savePersonas() {
+    localStorage.setItem(PERSONAS_STORAGE_KEY, JSON.stringify(state.personas));
+    localStorage.setItem(ACTIVE_PERSONA_STORAGE_KEY, state.defaultPersonaId);
+}
+
+/**
+ * Get the persona a conversation uses
+ * @description Falls back to the default persona if the conversation's was deleted
+ * @param {Object} [conversation] - The conversation (defaults to the active one)
+ * @returns {Object} The persona
+ */
+function getConversationPersona(conversation = state.activeConversation) {
+    const find = id => state.personas.find(persona => persona.id === id);
+
+    return find(conversation.personaId) || find(state.defaultPersonaId) || state.personas[0];
+}
+
+/**
+ * Get the system prompt a conversation is sent with
+ * @description A prompt set with /system overrides the persona's
+ * @param {Object} [conversation] - The conversation (defaults to the active one)
+ * @returns {string} The system prompt
+ */
+function getConversationSystemPrompt(conversation = state.activeConversation) {
+    return typeof conversation.systemPrompt === "string"
+        ? conversation.systemPrompt
+        : getConversationPersona(conversation).systemPrompt;
+}
+
+/**
+ * Use a persona for the active conversation
+ * @description Applies the persona's default parameters and makes it the
+ * default for new conversations
+ * @param {string} id - The persona id
+ */
+function selectPersona(id) {
+    const persona = state.personas.find(item => item.id === id);
+    if (!persona) return;
+
+    state.activeConversation.personaId = id;
+    state.defaultPersonaId = id;
+
+    if (persona.params) {
+        Object.assign(getConversationParams(), persona.params);
+    }
+
+    savePersonas();
+    saveConversationParams();
+    renderPersona();
+    renderParameters();
+}
+
+/* ============================================
+   RENDERING
+   ============================================ */
+
+/**
+ * Show the active persona in the header and its suggestions on the empty state
+ */
+function renderPersona() {
+    const persona = getConversationPersona();
+
+    elements.personaIcon.textContent = persona.icon;
+    elements.personaName.textContent = persona.name;
+    elements.personaBtn.title = getConversationSystemPrompt();
+
+    renderPromptCards(persona);
+}
+
+/**
+ * Render the suggested prompt cards on the empty state
+ * @description The user's most-used templates come first; the persona's
+ * suggestions fill the remaining cards
+ * @param {Object} persona - The persona whose suggestions to show
+ */
+function renderPromptCards(persona) {
+    const container = elements.suggestedPrompts;
+    container.innerHTML = "";
+
+    const templates = getMostUsedTemplates(EMPTY_STATE_CARD_COUNT);
+
+    templates.forEach(template => {
+        const card = createPromptCard("📝", template.name);
+        card.dataset.templateId = template.id;
+        card.title = template.text;
+        container.appendChild(card);
+    });
+
+    persona.suggestions.slice(0, EMPTY_STATE_CARD_COUNT - templates.length).forEach(suggestion => {
+        const card = createPromptCard(persona.icon, suggestion);
+        card.dataset.prompt = suggestion;
+        container.appendChild(card);
+    });
+}
+
+/**
+ * Create an empty-state prompt card
+ * @param {string} iconText - Emoji shown on the card
+ * @param {string} label - Card text
+ * @returns {HTMLButtonElement} The card
+ */
+function createPromptCard(iconText, label) {
+    const card = document.createElement("button");
+    card.className = "prompt-card";
+
+    const icon = document.createElement("span");
+    icon.className = "prompt-card-icon";
+    icon.setAttribute("aria-hidden", "true");
+    icon.textContent = iconText;
+
+    const text = document.createElement("span");
+    text.textContent = label;
+
+    card.appendChild(icon);
+    card.appendChild(text);
+
+    return card;
+}
+
+/* ============================================
+   PERSONA MANAGER
+   ============================================ */
+
+/**
+ * Open the persona manager
+ */
+function openPersonaManager() {
+    renderPersonaList();
+    fillPersonaForm(getConversationPersona());
+    elements.personaPanel.classList.remove("hidden");
+}
+
+/**
+ * Close the persona manager
+ */
+function closePersonaManager() {
+    elements.personaPanel.classList.add("hidden");
+}
+
+/**
+ * Render the list of personas in the manager
+ */
+function renderPersonaList() {
+    const list = elements.personaList;
+    const activeId = getConversationPersona().id;
+    list.innerHTML = "";
+
+    state.personas.forEach(persona => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "persona-item";
+        item.dataset.id = persona.id;
+        item.classList.toggle("active", persona.id === activeId);
+        item.classList.toggle("editing", persona.id === elements.personaForm.dataset.personaId);
+        item.textContent = `${persona.icon} ${persona.name}`;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Populate the persona form
+ * @param {Object} persona - The persona to edit
+ */
+function fillPersonaForm(persona) {
+    elements.personaForm.dataset.personaId = persona.id;
+    elements.personaNameInput.value = persona.name;
+    elements.personaIconInput.value = persona.icon;
+    elements.personaPromptInput.value = persona.systemPrompt;
+    elements.personaSuggestionsInput.value = persona.suggestions.join("\n");
+
+    editingPersonaParams = persona.params ? { ...persona.params } : null;
+    renderPersonaParamsSummary();
+    renderPersonaList();
+}
+
+/**
+ * Describe the parameters the edited persona applies
+ */
+function renderPersonaParamsSummary() {
+    const params = editingPersonaParams;
+
+    elements.personaParamsSummary.textContent = params
+        ? `temperature ${params.temperature} · top_p ${params.top_p} · max ${params.max_tokens} tokens`
+        : "Keeps the conversation's current parameters";
+}
+
+/**
+ * Read the persona form into a persona object
+ * @returns {Object} The edited persona
+ */
+function readPersonaForm() {
+    const suggestions = elements.personaSuggestionsInput.value
+        .split("\n")
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    return {
+        id: elements.personaForm.dataset.personaId,
+        name: elements.personaNameInput.value.trim() || "Untitled persona",
+        icon: elements.personaIconInput.value.trim() || "🤖",
+        systemPrompt: elements.personaPromptInput.value.trim(),
+        params: editingPersonaParams,
+        suggestions
+    };
+}
+
+/**
+ * Handle persona form submission
+ * @description Saves the edited persona and uses it for the active conversation
+ * @param {SubmitEvent} event - The submit event
+ */
+function handlePersonaSave(event) {
+    event.preventDefault();
+
+    const persona = readPersonaForm();
+    const index = state.personas.findIndex(item => item.id === persona.id);
+
+    if (index === -1) {
+        state.personas.push(persona);
+    } else {
+        state.personas[index] = persona;
+    }
+
+    selectPersona(persona.id);
+    closePersonaManager();
+}
+
+/**
+ * Handle clicks in the persona list
+ * @param {MouseEvent} event - The click event
+ */
+function handlePersonaListClick(event) {
+    const item = event.target.closest(".persona-item");
+    const persona = item && state.personas.find(p => p.id === item.dataset.id);
+
+    if (persona) {
+        fillPersonaForm(persona);
+    }
+}
+
+/**
+ * Start editing a new, unsaved persona
+ */
+function handlePersonaNew() {
+    fillPersonaForm({
+        id: generateId(),
+        name: "New persona",
+        icon: "🤖",
+        systemPrompt: "",
+        params: null,
+        suggestions: []
+    });
+    elements.personaNameInput.select();
+}
+
+/**
+ * Snapshot the conversation's current parameters into the edited persona
+ */
+function handlePersonaUseCurrentParams() {
+    const { temperature, top_p, top_k, repetition_penalty, max_tokens } = getConversationParams();
+
+    editingPersonaParams = { temperature, top_p, top_k, repetition_penalty, max_tokens };
+    renderPersonaParamsSummary();
+}
+
+/**
+ * Delete the persona being edited
+ * @description The last remaining persona cannot be deleted
+ */
+function handlePersonaDelete() {
+    const id = elements.personaForm.dataset.personaId;
+    const persona = state.personas.find(item => item.id === id);
+
+    if (!persona || state.personas.length === 1) {
+        return;
+    }
+
+    if (!confirm(`Delete the "${persona.name}" persona?`)) {
+        return;
+    }
+
+    state.personas = state.personas.filter(item => item.id !== id);
+
+    if (state.defaultPersonaId === id) {
+        state.defaultPersonaId = state.personas[0].id;
+    }
+
+    savePersonas();
+    renderPersona();
+    fillPersonaForm(getConversationPersona());
+}
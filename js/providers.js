@@ -0,0 +1,445 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - PROVIDER ADAPTERS
+   Wire formats for the supported inference servers
+   ============================================ */
+
+/*
+ * Every adapter turns the conversation into a request body and parses the
+ * server's stream into the same sequence of events:
+ *
+ *   { type: "token", text: string }
+ *   { type: "done", finishReason: string|null, usage: Object|null, model: string|null }
+ *
+ * `finishReason` is "stop" or "length" where the server reports it, `usage`
+ * holds { promptTokens, completionTokens } and `model` the model the server
+ * says it ran. All three are null when the stream does not carry them, as
+ * with the notebook backend's plain text stream. The rendering path in
+ * app.js only ever sees these events.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * How conversation history is sent to the FastAPI backend
+ * @constant {Object<string, string>}
+ * @description "messages" sends a structured array; "prompt" folds the
+ * history into a single [INST] prompt for backends that only accept `prompt`
+ */
+const HISTORY_TRANSPORT = {
+    MESSAGES: "messages",
+    PROMPT: "prompt"
+};
+
+/**
+ * Provider used when a profile does not name one
+ * @constant {string}
+ */
+const DEFAULT_PROVIDER = "fastapi";
+
+/**
+ * Media type of the notebook backend's structured stream
+ * @constant {string}
+ */
+const NDJSON_MEDIA_TYPE = "application/x-ndjson";
+
+/* ============================================
+   STREAM READERS
+   ============================================ */
+
+/**
+ * Read a response body as decoded text chunks
+ * @param {Response} response - The fetch response
+ * @yields {string} Decoded text, in arrival order
+ */
+async function* readTextChunks(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+
+    while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) break;
+
+        yield decoder.decode(value, { stream: true });
+    }
+
+    const rest = decoder.decode();
+    if (rest) {
+        yield rest;
+    }
+}
+
+/**
+ * Read a response body line by line
+ * @description Buffers partial lines across chunks; used for NDJSON and SSE
+ * @param {Response} response - The fetch response
+ * @yields {string} Complete lines without the trailing newline
+ */
+async function* readLines(response) {
+    let buffer = "";
+
+    for await (const chunk of readTextChunks(response)) {
+        buffer += chunk;
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            yield line;
+        }
+    }
+
+    if (buffer) {
+        yield buffer;
+    }
+}
+
+/**
+ * Read the `data:` payloads of a server-sent event stream
+ * @param {Response} response - The fetch response
+ * @yields {string} The data of each event
+ */
+async function* readServerSentEvents(response) {
+    let data = [];
+
+    for await (const line of readLines(response)) {
+        if (line === "") {
+            // Blank line terminates an event
+            if (data.length > 0) {
+                yield data.join("\n");
+                data = [];
+            }
+        } else if (line.startsWith("data:")) {
+            data.push(line.slice(5).replace(/^ /, ""));
+        }
+    }
+
+    if (data.length > 0) {
+        yield data.join("\n");
+    }
+}
+
+/**
+ * Parse a JSON stream payload
+ * @description Surfaces errors the server reports inside the stream
+ * @param {string} payload - The raw JSON text
+ * @returns {Object} The parsed object
+ */
+function parseStreamPayload(payload) {
+    const data = JSON.parse(payload);
+
+    if (data.error) {
+        throw new Error(typeof data.error === "string" ? data.error : data.error.message);
+    }
+
+    return data;
+}
+
+/**
+ * Build the final event of a stream
+ * @param {string|null} finishReason - Why generation ended
+ * @param {number|undefined} promptTokens - Tokens in the prompt, if reported
+ * @param {number|undefined} completionTokens - Tokens generated, if reported
+ * @param {string|undefined} model - Model id, if reported
+ * @returns {Object} The "done" event
+ */
+function createDoneEvent(finishReason, promptTokens, completionTokens, model) {
+    const hasUsage = typeof completionTokens === "number";
+
+    return {
+        type: "done",
+        finishReason: finishReason || null,
+        usage: hasUsage ? { promptTokens: promptTokens ?? null, completionTokens } : null,
+        model: model || null
+    };
+}
+
+/**
+ * Parse the notebook backend's NDJSON event stream
+ * @description One JSON object per line: `{ type: "token", text }` deltas,
+ * then `{ type: "done", finish_reason, usage, model }`
+ * @param {Response} response - The fetch response
+ * @yields {Object} Token events, then a "done" event
+ */
+async function* parseEventStream(response) {
+    let done = createDoneEvent(null);
+
+    for await (const line of readLines(response)) {
+        if (!line.trim()) continue;
+
+        const data = parseStreamPayload(line);
+
+        if (data.type === "token" && data.text) {
+            yield { type: "token", text: data.text };
+        } else if (data.type === "done") {
+            done = createDoneEvent(
+                data.finish_reason,
+                data.usage?.prompt_tokens,
+                data.usage?.completion_tokens,
+                data.model
+            );
+            break;
+        }
+    }
+
+    yield done;
+}
+
+/**
+ * Drop unset generation parameters
+ * @description Leaves the server's own defaults in place for a missing
+ * seed or an empty stop list
+ * @param {Object} params - Generation parameters
+ * @returns {Object} Parameters with null, undefined and empty-array values removed
+ */
+function compactParams(params) {
+    return Object.fromEntries(
+        Object.entries(params).filter(([, value]) =>
+            value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+        )
+    );
+}
+
+/* ============================================
+   ADAPTERS
+   ============================================ */
+
+/**
+ * Provider adapters, keyed by id
+ * @constant {Object<string, Object>}
+ * @property {string} label - Name shown in the settings panel
+ * @property {string} defaultPath - Default streaming path
+ * @property {string} healthPath - Path polled by the health check
+ * @property {string} [accept] - Accept header for the streaming request
+ * @property {function(Array, Object, Object, Object): Object} buildRequestBody - Builds the JSON body from
+ * messages, profile, generation parameters and the session (anything with a `historyTransport`)
+ * @property {function(Response): AsyncGenerator} parseStream - Yields token events
+ * @property {function(Response, Object): boolean} [shouldRetry] - Whether to resend after a rejected request
+ * @property {function(string, Object, Object): Promise<Response>} [fetch] - Answers requests in the
+ * page instead of sending them, given the URL, fetch options and profile
+ */
+const PROVIDERS = {
+    /**
+     * The notebook's FastAPI backend: NDJSON events when it supports them,
+     * otherwise a raw `text/plain` byte stream
+     */
+    fastapi: {
+        label: "FastAPI (notebook)",
+        defaultPath: "/generate_stream",
+        healthPath: "/",
+        accept: `${NDJSON_MEDIA_TYPE}, text/plain;q=0.5`,
+
+        buildRequestBody(messages, profile, params, session) {
+            if (session.historyTransport === HISTORY_TRANSPORT.MESSAGES) {
+                return { messages, ...compactParams(params) };
+            }
+
+            // The backend wraps the prompt itself, so pass the system prompt separately
+            const [first, ...rest] = messages;
+            const system = first && first.role === "system" ? first.content : null;
+
+            return {
+                prompt: foldMessagesToPrompt(system === null ? messages : rest),
+                ...compactParams({ system_prompt: system, ...params })
+            };
+        },
+
+        async* parseStream(response) {
+            const contentType = response.headers.get("Content-Type") || "";
+
+            // Older backends ignore the Accept header and send plain text
+            if (!contentType.includes(NDJSON_MEDIA_TYPE)) {
+                for await (const text of readTextChunks(response)) {
+                    yield { type: "token", text };
+                }
+                yield createDoneEvent(null);
+                return;
+            }
+
+            yield* parseEventStream(response);
+        },
+
+        /*
+         * FastAPI answers 422 when the required `prompt` field is missing;
+         * fall back to the folded prompt and remember it for the session
+         */
+        shouldRetry(response, session) {
+            if (response.status === 422 && session.historyTransport === HISTORY_TRANSPORT.MESSAGES) {
+                console.warn("Backend rejected messages array, falling back to a folded prompt");
+                session.historyTransport = HISTORY_TRANSPORT.PROMPT;
+                return true;
+            }
+            return false;
+        }
+    },
+
+    /**
+     * OpenAI-compatible `/v1/chat/completions` (vLLM, TGI, LM Studio, …): SSE
+     */
+    openai: {
+        label: "OpenAI-compatible",
+        defaultPath: "/v1/chat/completions",
+        healthPath: "/v1/models",
+
+        buildRequestBody(messages, profile, params) {
+            // top_k and repetition_penalty are extensions vLLM and llama.cpp accept
+            return {
+                model: profile.model || undefined,
+                messages,
+                stream: true,
+                ...compactParams(params)
+            };
+        },
+
+        async* parseStream(response) {
+            let finishReason = null;
+            let usage = null;
+            let model = null;
+
+            for await (const payload of readServerSentEvents(response)) {
+                if (payload === "[DONE]") break;
+
+                const data = parseStreamPayload(payload);
+                const choice = data.choices?.[0];
+
+                // Usage comes in a final chunk with no choices, when the server sends it
+                usage = data.usage || usage;
+                model = data.model || model;
+                if (!choice) continue;
+
+                if (choice.delta?.content) {
+                    yield { type: "token", text: choice.delta.content };
+                }
+                finishReason = choice.finish_reason || finishReason;
+            }
+
+            yield createDoneEvent(finishReason, usage?.prompt_tokens, usage?.completion_tokens, model);
+        }
+    },
+
+    /**
+     * Ollama `/api/chat`: newline-delimited JSON
+     */
+    ollama: {
+        label: "Ollama",
+        defaultPath: "/api/chat",
+        healthPath: "/api/tags",
+
+        buildRequestBody(messages, profile, params) {
+            return {
+                model: profile.model,
+                messages,
+                stream: true,
+                options: compactParams({
+                    temperature: params.temperature,
+                    top_p: params.top_p,
+                    top_k: params.top_k,
+                    num_predict: params.max_tokens,
+                    repeat_penalty: params.repetition_penalty,
+                    stop: params.stop,
+                    seed: params.seed
+                })
+            };
+        },
+
+        async* parseStream(response) {
+            let done = createDoneEvent(null);
+
+            for await (const line of readLines(response)) {
+                if (!line.trim()) continue;
+
+                const data = parseStreamPayload(line);
+
+                if (data.message?.content) {
+                    yield { type: "token", text: data.message.content };
+                }
+                if (data.done) {
+                    done = createDoneEvent(data.done_reason || "stop", data.prompt_eval_count, data.eval_count, data.model);
+                    break;
+                }
+            }
+
+            yield done;
+        }
+    },
+
+    /**
+     * llama.cpp server native `/completion`: SSE with a raw prompt
+     */
+    llamacpp: {
+        label: "llama.cpp server",
+        defaultPath: "/completion",
+        healthPath: "/health",
+
+        buildRequestBody(messages, profile, params) {
+            // No server-side chat template here, so add the outer [INST] tags
+            return {
+                prompt: `<s>[INST] ${foldMessagesToPrompt(messages)} [/INST]`,
+                stream: true,
+                ...compactParams({
+                    temperature: params.temperature,
+                    top_p: params.top_p,
+                    top_k: params.top_k,
+                    n_predict: params.max_tokens,
+                    repeat_penalty: params.repetition_penalty,
+                    stop: params.stop,
+                    seed: params.seed
+                })
+            };
+        },
+
+        async* parseStream(response) {
+            let done = createDoneEvent(null);
+
+            for await (const payload of readServerSentEvents(response)) {
+                const data = parseStreamPayload(payload);
+
+                if (data.content) {
+                    yield { type: "token", text: data.content };
+                }
+                if (data.stop) {
+                    done = createDoneEvent(
+                        data.stopped_limit ? "length" : "stop",
+                        data.tokens_evaluated,
+                        data.tokens_predicted,
+                        data.model
+                    );
+                    break;
+                }
+            }
+
+            yield done;
+        }
+    },
+
+    /**
+     * Built-in mock backend (js/mock.js): answers in the page, no server needed
+     */
+    mock: {
+        label: "Demo (mock, no server)",
+        defaultPath: "/generate_stream",
+        healthPath: "/",
+        accept: NDJSON_MEDIA_TYPE,
+
+        buildRequestBody(messages, profile, params) {
+            return { messages, ...compactParams(params) };
+        },
+
+        fetch(url, init, profile) {
+            return fetchMock(url, init, profile);
+        },
+
+        parseStream: parseEventStream
+    }
+};
+
+/**
+ * Look up the adapter for a profile
+ * @param {Object} profile - The endpoint profile
+ * @returns {Object} The provider adapter
+ */
+function getProvider(profile) {
+    return PROVIDERS[profile.provider] || PROVIDERS[DEFAULT_PROVIDER];
+}
@@ -0,0 +1,210 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - SEND QUEUE
+   Prompts submitted while a reply is streaming
+   ============================================ */
+
+/*
+ * Only one reply streams at a time. A prompt sent while one is streaming is
+ * added to `state.sendQueue` and shown as a chip above the input, where it
+ * can be moved or cancelled. When the reply ends the next prompt is sent to
+ * the conversation it was typed in, as if it had just been typed; that
+ * conversation is opened first if another one is showing, and prompts for a
+ * deleted conversation are dropped.
+ *
+ * If a reply fails or is stopped the queue pauses, so the remaining prompts
+ * do not pile onto an error or run past the Stop button; "Send next" resumes
+ * it, and so does any later reply that completes. "Stop all" empties the
+ * queue and stops the current reply.
+ */
+
+/* ============================================
+   QUEUE
+   ============================================ */
+
+// Why the queue is waiting with prompts left: "failed", "stopped", or null
+let sendQueuePause = null;
+
+/**
+ * Add a prompt to the end of the queue
+ * @description The prompt is sent to the conversation that is open now
+ * @param {string} text - The prompt
+ */
+function enqueuePrompt(text) {
+    state.sendQueue.push({ id: generateId(), text, conversationId: state.activeConversation.id });
+    renderSendQueue();
+}
+
+/**
+ * Move a queued prompt one place up or down
+ * @param {string} id - The queued prompt's id
+ * @param {number} offset - -1 to send it earlier, 1 to send it later
+ */
+function moveQueuedPrompt(id, offset) {
+    const index = state.sendQueue.findIndex(item => item.id === id);
+    const target = index + offset;
+
+    if (index === -1 || target < 0 || target >= state.sendQueue.length) {
+        return;
+    }
+
+    [state.sendQueue[index], state.sendQueue[target]] = [state.sendQueue[target], state.sendQueue[index]];
+    renderSendQueue();
+}
+
+/**
+ * Cancel a queued prompt
+ * @param {string} id - The queued prompt's id
+ */
+function removeQueuedPrompt(id) {
+    state.sendQueue = state.sendQueue.filter(item => item.id !== id);
+    renderSendQueue();
+}
+
+/**
+ * Send the next queued prompt, if nothing is streaming
+ * @description Opens the prompt's conversation if another one is showing;
+ * prompts whose conversation was deleted are dropped
+ */
+function sendNextQueuedPrompt() {
+    if (state.isStreaming) {
+        return;
+    }
+
+    sendQueuePause = null;
+
+    while (state.sendQueue.length > 0) {
+        const { text, conversationId } = state.sendQueue.shift();
+
+        if (conversationId !== state.activeConversation.id) {
+            if (!state.conversations.some(conversation => conversation.id === conversationId)) {
+                continue;
+            }
+            switchConversation(conversationId);
+        }
+
+        renderSendQueue();
+        sendMessage(text);
+        return;
+    }
+
+    renderSendQueue();
+}
+
+/**
+ * Move on once a reply has ended
+ * @description Called at the end of every streamed reply
+ * @param {string} outcome - "done", "failed" or "stopped"
+ */
+function advanceSendQueue(outcome) {
+    sendQueuePause = outcome !== "done" && state.sendQueue.length > 0 ? outcome : null;
+
+    if (sendQueuePause) {
+        renderSendQueue();
+    } else {
+        sendNextQueuedPrompt();
+    }
+}
+
+/**
+ * Empty the queue and stop the current reply
+ */
+function stopAllPrompts() {
+    state.sendQueue = [];
+    sendQueuePause = null;
+    renderSendQueue();
+    stopGeneration();
+}
+
+/* ============================================
+   RENDERING
+   ============================================ */
+
+/**
+ * Show the queued prompts as chips above the input
+ */
+function renderSendQueue() {
+    const list = elements.sendQueue;
+    list.innerHTML = "";
+    list.classList.toggle("hidden", state.sendQueue.length === 0);
+
+    if (state.sendQueue.length === 0) {
+        return;
+    }
+
+    const label = document.createElement("span");
+    label.className = "send-queue-label";
+    label.textContent = sendQueuePause === "failed"
+        ? "Paused after an error:"
+        : sendQueuePause === "stopped"
+            ? "Paused after Stop:"
+            : "Up next:";
+    list.appendChild(label);
+
+    const addButton = (parent, action, text, ariaLabel, id = "") => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "queue-chip-btn";
+        button.dataset.queueAction = action;
+        button.dataset.id = id;
+        button.textContent = text;
+        button.setAttribute("aria-label", ariaLabel);
+        button.title = ariaLabel;
+        parent.appendChild(button);
+        return button;
+    };
+
+    state.sendQueue.forEach((item, index) => {
+        const chip = document.createElement("div");
+        chip.className = "attachment-chip queue-chip";
+
+        const text = document.createElement("span");
+        text.className = "attachment-name";
+        text.textContent = `${index + 1}. ${item.text}`;
+        text.title = item.text;
+        chip.appendChild(text);
+
+        addButton(chip, "up", "↑", "Send earlier", item.id).disabled = index === 0;
+        addButton(chip, "down", "↓", "Send later", item.id).disabled = index === state.sendQueue.length - 1;
+        addButton(chip, "remove", "×", "Cancel this prompt", item.id);
+
+        list.appendChild(chip);
+    });
+
+    if (sendQueuePause) {
+        addButton(list, "resume", "Send next", "Send the next prompt").className = "secondary-btn send-queue-btn";
+    }
+    addButton(list, "stop-all", "Stop all", "Empty the queue and stop the current reply").className = "secondary-btn danger send-queue-btn";
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Handle clicks on queue chips and controls
+ * @param {MouseEvent} event - The click event
+ */
+function handleSendQueueClick(event) {
+    const button = event.target.closest("[data-queue-action]");
+    if (!button) return;
+
+    const { id } = button.dataset;
+
+    switch (button.dataset.queueAction) {
+        case "up":
+            moveQueuedPrompt(id, -1);
+            break;
+        case "down":
+            moveQueuedPrompt(id, 1);
+            break;
+        case "remove":
+            removeQueuedPrompt(id);
+            break;
+        case "resume":
+            sendNextQueuedPrompt();
+            break;
+        case "stop-all":
+            stopAllPrompts();
+            break;
+    }
+}
@@ -0,0 +1,229 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - MATH & DIAGRAMS
+   LaTeX math with KaTeX, mermaid fences as SVG
+   ============================================ */
+
+/*
+ * A marked extension turns $…$ into <code class="math-inline"> and $$…$$
+ * into <pre class="math-display"><code class="language-math">, which is
+ * also what a ```math fence produces. Markdown inside the math is left
+ * alone, and the placeholders pass the sanitizer as ordinary code.
+ *
+ * Once a block is final (see createStreamRenderer) the placeholders are
+ * typeset with KaTeX and ```mermaid fences are drawn as diagrams. While a
+ * block is still streaming it shows the source. If a library is missing or
+ * the source does not parse, the source stays visible.
+ *
+ * Both libraries are vendored under vendor/ so replies render offline, and
+ * each is loaded the first time a reply needs it rather than with the page.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Marked extensions recognizing math delimiters
+ * @constant {Array<Object>}
+ * @description Inline math may not start or end with a space and may not be
+ * followed by a digit, so "$5 and $10" stays text
+ */
+const MATH_MARKDOWN_EXTENSIONS = [
+    {
+        name: "mathDisplay",
+        level: "block",
+        start: src => src.match(/^ {0,3}\$\$/m)?.index,
+        tokenizer(src) {
+            const match = src.match(/^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/);
+
+            if (match) {
+                return { type: "mathDisplay", raw: match[0], text: match[1].trim() };
+            }
+        },
+        renderer: token => `<pre class="math-display"><code class="language-math">${escapeHtml(token.text)}</code></pre>\n`
+    },
+    {
+        name: "mathInline",
+        level: "inline",
+        start: src => src.indexOf("$"),
+        tokenizer(src) {
+            const match = src.match(/^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/) ||
+                src.match(/^\$\$(?!\s)((?:\\.|[^\\$])+?)(?<!\s)\$\$/);
+
+            if (match) {
+                return { type: "mathInline", raw: match[0], text: match[1] };
+            }
+        },
+        renderer: token => `<code class="math-inline">${escapeHtml(token.text)}</code>`
+    }
+];
+
+/**
+ * KaTeX options
+ * @constant {Object}
+ * @description `trust: false` keeps \href, \includegraphics and friends from
+ * producing links or loading anything
+ */
+const KATEX_OPTIONS = {
+    throwOnError: true,
+    trust: false,
+    strict: "ignore",
+    maxExpand: 1000
+};
+
+/**
+ * Vendored scripts, loaded on first use
+ * @constant {{katex: string, mermaid: string}}
+ */
+const RICH_CONTENT_SCRIPTS = {
+    katex: "vendor/katex/katex.min.js",
+    mermaid: "vendor/mermaid/mermaid.min.js"
+};
+
+/* ============================================
+   LIBRARY LOADING
+   ============================================ */
+
+// Pending or finished loads, by script path
+const vendorScriptLoads = new Map();
+
+/**
+ * Load a vendored script once
+ * @description A failed load is forgotten so a later reply can try again
+ * @param {string} src - The script path
+ * @returns {Promise<void>} Resolves when the script has run
+ */
+function loadVendorScript(src) {
+    if (!vendorScriptLoads.has(src)) {
+        vendorScriptLoads.set(src, new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.src = src;
+            script.addEventListener("load", () => resolve());
+            script.addEventListener("error", () => {
+                vendorScriptLoads.delete(src);
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            });
+            document.head.appendChild(script);
+        }));
+    }
+
+    return vendorScriptLoads.get(src);
+}
+
+/* ============================================
+   RENDERING
+   ============================================ */
+
+// Mermaid needs a unique id for every diagram it draws
+let diagramCount = 0;
+
+/**
+ * Finish rendered markdown once its block can no longer change
+ * @description Typesets math, highlights code, adds code toolbars and
+ * starts drawing diagrams
+ * @param {HTMLElement|DocumentFragment} element - Rendered markdown
+ */
+function finishRenderedMarkdown(element) {
+    typesetMath(element);
+    highlightCode(element);
+    enhanceCodeBlocks(element);
+    renderDiagrams(element);
+}
+
+/**
+ * Replace math placeholders with typeset math
+ * @description Loads KaTeX first if needed, which makes this asynchronous
+ * @param {HTMLElement|DocumentFragment} element - Rendered markdown
+ */
+function typesetMath(element) {
+    const placeholders = [...element.querySelectorAll("code.math-inline, pre > code.language-math")];
+
+    if (placeholders.length === 0) {
+        return;
+    }
+
+    if (typeof katex === "undefined") {
+        loadVendorScript(RICH_CONTENT_SCRIPTS.katex)
+            .then(() => placeholders.forEach(typesetMathPlaceholder))
+            .catch(error => console.error("Failed to load KaTeX:", error));
+        return;
+    }
+
+    placeholders.forEach(typesetMathPlaceholder);
+}
+
+/**
+ * Typeset one math placeholder
+ * @param {HTMLElement} code - A math placeholder's <code> element
+ */
+function typesetMathPlaceholder(code) {
+    const displayMode = !code.classList.contains("math-inline");
+    const target = displayMode ? code.parentElement : code;
+    const output = document.createElement(displayMode ? "div" : "span");
+    output.className = displayMode ? "math math-display" : "math math-inline";
+
+    try {
+        katex.render(code.textContent, output, { ...KATEX_OPTIONS, displayMode });
+        output.title = code.textContent;
+        target.replaceWith(output);
+    } catch (error) {
+        // Leave the source in place
+        target.classList.add("render-error");
+        target.title = error.message;
+    }
+}
+
+/**
+ * Draw ```mermaid code blocks as diagrams
+ * @description Runs asynchronously, loading Mermaid first if needed; the
+ * code block stays in place (and in view until the diagram is ready) so its
+ * toolbar still copies the source
+ * @param {HTMLElement|DocumentFragment} element - Rendered markdown
+ */
+function renderDiagrams(element) {
+    const blocks = [...element.querySelectorAll(".code-block[data-language='mermaid']")];
+
+    if (blocks.length === 0) {
+        return;
+    }
+
+    if (typeof mermaid === "undefined") {
+        loadVendorScript(RICH_CONTENT_SCRIPTS.mermaid)
+            .then(() => drawDiagrams(blocks))
+            .catch(error => console.error("Failed to load Mermaid:", error));
+        return;
+    }
+
+    drawDiagrams(blocks);
+}
+
+/**
+ * Draw mermaid code blocks
+ * @param {Array<HTMLElement>} blocks - Code blocks of mermaid source
+ */
+function drawDiagrams(blocks) {
+    mermaid.initialize({
+        startOnLoad: false,
+        securityLevel: "strict",
+        theme: state.currentTheme === "dark" ? "dark" : "default"
+    });
+
+    blocks.forEach(async block => {
+        const pre = block.querySelector("pre");
+
+        try {
+            const { svg } = await mermaid.render(`mermaid-diagram-${++diagramCount}`, block.querySelector("code").textContent);
+
+            const diagram = document.createElement("div");
+            diagram.className = "mermaid-diagram";
+            diagram.innerHTML = svg;
+
+            pre.classList.add("hidden");
+            pre.after(diagram);
+        } catch (error) {
+            pre.classList.add("render-error");
+            pre.title = error.message;
+        }
+    });
+}
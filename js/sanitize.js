@@ -0,0 +1,209 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - HTML SANITIZER
+   Allowlist filter for rendered model output
+   ============================================ */
+
+/*
+ * Model output is untrusted: a prompt-injected or misbehaving model can emit
+ * raw HTML that marked passes straight through. Everything marked produces
+ * is filtered here before it reaches innerHTML. Only the tags and attributes
+ * listed below survive; unknown tags are unwrapped (their text is kept),
+ * and tags in DROPPED_TAGS are removed together with their content.
+ *
+ * Images on other hosts are not loaded: fetching one tells that host the
+ * reader's IP and whatever the model put in the URL, which is an easy way for
+ * injected instructions to send conversation text out. Such images become a
+ * link the reader can choose to open.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Allowed tags and, for each, the attributes it may keep
+ * @constant {Object<string, Array<string>>}
+ */
+const ALLOWED_TAGS = {
+    a: ["href", "title"],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: ["class"],
+    del: [],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ["src", "alt", "title"],
+    input: ["type", "checked", "disabled"],
+    kbd: [],
+    li: [],
+    mark: [],
+    ol: ["start"],
+    p: [],
+    pre: ["class"],
+    s: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    table: [], thead: [], tbody: [], tr: [],
+    th: ["align"],
+    td: ["align"],
+    ul: []
+};
+
+/**
+ * Tags removed together with everything inside them
+ * @constant {Set<string>}
+ */
+const DROPPED_TAGS = new Set([
+    "script", "style", "iframe", "frame", "frameset", "object", "embed",
+    "template", "noscript", "svg", "math", "form", "textarea", "select",
+    "button", "link", "meta", "base", "title"
+]);
+
+/**
+ * Attributes holding URLs, which must use a safe scheme
+ * @constant {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set(["href", "src"]);
+
+/**
+ * URL schemes links and images may use
+ * @constant {Set<string>}
+ * @description Blocks javascript:, data:, vbscript: and anything else
+ * unexpected; scheme-less (relative) URLs and #fragments are allowed
+ */
+const SAFE_URL_SCHEMES = new Set(["http", "https", "mailto"]);
+
+/* ============================================
+   SANITIZATION
+   ============================================ */
+
+/**
+ * Filter an HTML string down to the allowlist
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    sanitizeChildren(template.content);
+
+    return template.innerHTML;
+}
+
+/**
+ * Sanitize the children of a node in place
+ * @param {Node} parent - The node whose children to filter
+ */
+function sanitizeChildren(parent) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            // Comments, processing instructions, …
+            node.remove();
+            return;
+        }
+
+        const tag = node.localName;
+
+        if (DROPPED_TAGS.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node);
+
+        if (!Object.hasOwn(ALLOWED_TAGS, tag)) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        sanitizeAttributes(node, ALLOWED_TAGS[tag]);
+
+        if (tag === "img" && isRemoteUrl(node.getAttribute("src") || "")) {
+            node.replaceWith(createRemoteImageLink(node));
+        }
+    });
+}
+
+/**
+ * Stand in for an image on another host
+ * @description A link to the image, so it is only fetched if the reader
+ * opens it; inside another link it becomes plain text
+ * @param {HTMLImageElement} image - The sanitized image
+ * @returns {Node} The replacement
+ */
+function createRemoteImageLink(image) {
+    const label = `Image: ${image.getAttribute("alt") || image.getAttribute("src")}`;
+
+    if (image.closest("a")) {
+        return document.createTextNode(`[${label}]`);
+    }
+
+    const link = document.createElement("a");
+    link.href = image.getAttribute("src");
+    link.textContent = label;
+    link.title = "Open the image in a new tab";
+    link.setAttribute("target", "_blank");
+    link.setAttribute("rel", "noopener noreferrer");
+    return link;
+}
+
+/**
+ * Remove every attribute not on an element's allowlist
+ * @description Also applies the link policy and disables task-list checkboxes
+ * @param {Element} element - The element to clean
+ * @param {Array<string>} allowed - Attributes it may keep
+ */
+function sanitizeAttributes(element, allowed) {
+    [...element.attributes].forEach(({ name, value }) => {
+        if (!allowed.includes(name) || (URL_ATTRIBUTES.has(name) && !isSafeUrl(value))) {
+            element.removeAttribute(name);
+        }
+    });
+
+    if (element.localName === "a" && element.hasAttribute("href")) {
+        element.setAttribute("target", "_blank");
+        element.setAttribute("rel", "noopener noreferrer");
+    }
+
+    if (element.localName === "input") {
+        if (element.getAttribute("type") !== "checkbox") {
+            element.remove();
+            return;
+        }
+        element.setAttribute("disabled", "");
+    }
+}
+
+/**
+ * Check whether a URL uses an allowed scheme
+ * @param {string} url - The attribute value
+ * @returns {boolean} True for relative URLs and allowed schemes
+ */
+function isSafeUrl(url) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const compact = url.replace(/[\u0000- \u007f-\u009f]/g, "");
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+/**
+ * Check whether a URL points away from the page's own host
+ * @param {string} url - The attribute value
+ * @returns {boolean} True for URLs with a scheme and protocol-relative ones
+ */
+function isRemoteUrl(url) {
+    const compact = url.replace(/[\u0000- \u007f-\u009f]/g, "");
+
+    // Browsers read backslashes as slashes, so "\\host" is "//host"
+    return /^[a-z][a-z0-9+.-]*:/i.test(compact) || /^[\\/]{2}/.test(compact);
+}
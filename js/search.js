@@ -0,0 +1,383 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - MESSAGE SEARCH
+   Full-text search across every conversation
+   ============================================ */
+
+/*
+ * The search overlay looks through every message of every stored
+ * conversation, including branches that are not currently shown. Each word
+ * of the query must match the start of a word in the message; matches are
+ * ranked by how rare and how frequent the matched words are, with a bonus
+ * for the exact phrase. Picking a result opens its conversation, selects
+ * the branch it is on and highlights it.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Maximum number of results shown
+ * @constant {number}
+ */
+const SEARCH_MAX_RESULTS = 50;
+
+/**
+ * Characters of context shown before the first match in a snippet
+ * @constant {number}
+ */
+const SEARCH_SNIPPET_LEAD = 60;
+
+/**
+ * Total length of a snippet
+ * @constant {number}
+ */
+const SEARCH_SNIPPET_LENGTH = 200;
+
+/**
+ * How long a message stays highlighted after jumping to it
+ * @constant {number}
+ */
+const SEARCH_HIGHLIGHT_DURATION = 2500;
+
+/* ============================================
+   INDEX & RANKING
+   ============================================ */
+
+// Messages of all conversations, indexed when the overlay opens
+let searchIndex = [];
+
+// Current results and the highlighted one
+let searchResults = [];
+let searchResultIndex = 0;
+
+/**
+ * Split text into lowercase search terms
+ * @description Unlike document retrieval, keeps stopwords and one-character
+ * terms so that searches like "C" or "what is" still find messages
+ * @param {string} text - The text to split
+ * @returns {Array<string>} Terms, in order
+ */
+function tokenizeForSearch(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Index every message of every stored conversation
+ * @returns {Array<{conversation: Object, node: Object, terms: Map<string, number>}>}
+ * One entry per message with its term counts
+ */
+function buildSearchIndex() {
+    return state.conversations.flatMap(conversation =>
+        Object.values(conversation.nodes).map(node => {
+            const terms = new Map();
+            tokenizeForSearch(node.content).forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+            return { conversation, node, terms };
+        })
+    );
+}
+
+/**
+ * Search the index
+ * @param {string} query - The search text
+ * @param {Object} filters - Active filters
+ * @param {string} filters.role - "user", "assistant" or "" for both
+ * @param {number|null} filters.from - Earliest timestamp
+ * @param {number|null} filters.to - Latest timestamp
+ * @param {string} filters.conversationId - Only this conversation ("" for all)
+ * @returns {Array<{conversation: Object, node: Object, score: number}>}
+ * Matching messages, best first
+ */
+function searchMessages(query, { role, from, to, conversationId }) {
+    const queryTerms = [...new Set(tokenizeForSearch(query))];
+
+    if (queryTerms.length === 0) {
+        return [];
+    }
+
+    const candidates = searchIndex.filter(({ conversation, node }) =>
+        (!role || node.role === role) &&
+        (from === null || node.timestamp >= from) &&
+        (to === null || node.timestamp <= to) &&
+        (!conversationId || conversation.id === conversationId)
+    );
+
+    // Occurrences of each query term, matching it as a word prefix
+    const countMatches = (terms, queryTerm) => {
+        let count = 0;
+        terms.forEach((frequency, term) => {
+            if (term.startsWith(queryTerm)) {
+                count += frequency;
+            }
+        });
+        return count;
+    };
+
+    const matches = candidates
+        .map(entry => ({ entry, counts: queryTerms.map(term => countMatches(entry.terms, term)) }))
+        .filter(({ counts }) => counts.every(count => count > 0));
+
+    const phrase = query.trim().toLowerCase();
+    const idf = queryTerms.map((term, i) =>
+        Math.log(1 + candidates.length / matches.filter(({ counts }) => counts[i] > 0).length)
+    );
+
+    return matches
+        .map(({ entry, counts }) => {
+            let score = counts.reduce((total, count, i) => total + idf[i] * count / (count + 1.2), 0);
+
+            if (queryTerms.length > 1 && entry.node.content.toLowerCase().includes(phrase)) {
+                score += 1;
+            }
+
+            return { conversation: entry.conversation, node: entry.node, score };
+        })
+        .sort((a, b) => b.score - a.score || b.node.timestamp - a.node.timestamp)
+        .slice(0, SEARCH_MAX_RESULTS);
+}
+
+/**
+ * Build a snippet around the first match with the matches marked
+ * @param {string} content - The message text
+ * @param {Array<string>} terms - Query terms
+ * @returns {DocumentFragment} Text with <mark> around matches
+ */
+function buildSearchSnippet(content, terms) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join("|")})`, "giu");
+    const first = content.search(pattern);
+    const start = Math.max(0, first - SEARCH_SNIPPET_LEAD);
+    const end = Math.min(content.length, start + SEARCH_SNIPPET_LENGTH);
+
+    const text = (start > 0 ? "…" : "") +
+        content.slice(start, end).replace(/\s+/g, " ") +
+        (end < content.length ? "…" : "");
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+
+    for (const match of text.matchAll(pattern)) {
+        fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+
+        const mark = document.createElement("mark");
+        mark.textContent = match[0];
+        fragment.appendChild(mark);
+
+        last = match.index + match[0].length;
+    }
+
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    return fragment;
+}
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/* ============================================
+   SEARCH OVERLAY
+   ============================================ */
+
+/**
+ * Open the search overlay
+ */
+function openSearchPanel() {
+    searchIndex = buildSearchIndex();
+    renderSearchConversationFilter();
+    renderSearchResults();
+
+    elements.searchPanel.classList.remove("hidden");
+    elements.searchInput.focus();
+    elements.searchInput.select();
+}
+
+/**
+ * Close the search overlay
+ */
+function closeSearchPanel() {
+    elements.searchPanel.classList.add("hidden");
+    searchIndex = [];
+}
+
+/**
+ * List the stored conversations in the conversation filter
+ */
+function renderSearchConversationFilter() {
+    const select = elements.searchConversationFilter;
+    const selected = select.value;
+
+    select.innerHTML = "";
+    select.appendChild(new Option("All conversations", ""));
+
+    [...state.conversations]
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .forEach(conversation => select.appendChild(new Option(conversation.title, conversation.id)));
+
+    select.value = state.conversations.some(conversation => conversation.id === selected) ? selected : "";
+}
+
+/**
+ * Read the filter controls
+ * @returns {Object} Filters for searchMessages
+ */
+function readSearchFilters() {
+    const from = elements.searchFromInput.value;
+    const to = elements.searchToInput.value;
+
+    return {
+        role: elements.searchRoleFilter.value,
+        from: from ? new Date(`${from}T00:00:00`).getTime() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+        conversationId: elements.searchConversationFilter.value
+    };
+}
+
+/**
+ * Run the search and render the results
+ */
+function renderSearchResults() {
+    const query = elements.searchInput.value;
+    const terms = [...new Set(tokenizeForSearch(query))];
+    const list = elements.searchResults;
+
+    searchResults = searchMessages(query, readSearchFilters());
+    searchResultIndex = 0;
+    list.innerHTML = "";
+
+    if (terms.length === 0) {
+        elements.searchStatus.textContent = `Search ${searchIndex.length} message${searchIndex.length !== 1 ? "s" : ""}`;
+        return;
+    }
+
+    elements.searchStatus.textContent = searchResults.length === 0
+        ? "No matching messages"
+        : `${searchResults.length}${searchResults.length === SEARCH_MAX_RESULTS ? "+" : ""} result${searchResults.length !== 1 ? "s" : ""}`;
+
+    searchResults.forEach(({ conversation, node }, index) => {
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "search-result";
+        item.id = `search-result-${index}`;
+        item.dataset.index = index;
+        item.setAttribute("role", "option");
+
+        const meta = document.createElement("span");
+        meta.className = "search-result-meta";
+        meta.textContent = [
+            conversation.title,
+            node.role === "user" ? "You" : "Assistant",
+            new Date(node.timestamp).toLocaleString()
+        ].join(" · ");
+
+        const snippet = document.createElement("span");
+        snippet.className = "search-result-snippet";
+        snippet.appendChild(buildSearchSnippet(node.content, terms));
+
+        item.appendChild(meta);
+        item.appendChild(snippet);
+        list.appendChild(item);
+    });
+
+    highlightSearchResult(0);
+}
+
+/**
+ * Highlight a result for keyboard selection
+ * @param {number} index - Result index
+ */
+function highlightSearchResult(index) {
+    searchResultIndex = index;
+
+    elements.searchResults.querySelectorAll(".search-result").forEach((item, i) => {
+        item.classList.toggle("active", i === index);
+        item.setAttribute("aria-selected", String(i === index));
+
+        if (i === index) {
+            item.scrollIntoView({ block: "nearest" });
+        }
+    });
+}
+
+/**
+ * Open a result's conversation and highlight the message
+ * @description While a reply streams, only messages already on screen can
+ * be shown, since switching would interrupt it
+ * @param {Object} result - The search result
+ */
+function jumpToSearchResult({ conversation, node }) {
+    const isActive = state.activeConversation === conversation;
+    const isVisible = isActive && getActivePath(conversation).includes(node);
+
+    if (state.isStreaming && !isVisible) {
+        elements.searchStatus.textContent = "Wait for the current reply to finish to open this message.";
+        return;
+    }
+
+    closeSearchPanel();
+
+    if (!isActive) {
+        switchConversation(conversation.id);
+    }
+
+    if (selectPathTo(conversation, node.id)) {
+        renderActiveConversation();
+        persistConversation(conversation);
+    }
+
+    highlightMessage(node.id);
+}
+
+/**
+ * Scroll a message into view and flash it
+ * @param {string} nodeId - The message's node id
+ */
+function highlightMessage(nodeId) {
+    const messageDiv = revealMessage(nodeId, "center");
+    if (!messageDiv) return;
+
+    messageDiv.classList.remove("search-highlight");
+    // Restart the animation if the same message is highlighted twice
+    void messageDiv.offsetWidth;
+    messageDiv.classList.add("search-highlight");
+
+    setTimeout(() => messageDiv.classList.remove("search-highlight"), SEARCH_HIGHLIGHT_DURATION);
+}
+
+/* ============================================
+   EVENT HANDLERS
+   ============================================ */
+
+/**
+ * Handle arrow keys and Enter in the search field
+ * @param {KeyboardEvent} event - The keydown event
+ */
+function handleSearchKeyDown(event) {
+    if (searchResults.length === 0) {
+        return;
+    }
+
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        event.preventDefault();
+        const step = event.key === "ArrowDown" ? 1 : -1;
+        highlightSearchResult((searchResultIndex + step + searchResults.length) % searchResults.length);
+    } else if (event.key === "Enter") {
+        event.preventDefault();
+        jumpToSearchResult(searchResults[searchResultIndex]);
+    }
+}
+
+/**
+ * Handle clicks on results
+ * @param {MouseEvent} event - The click event
+ */
+function handleSearchResultClick(event) {
+    const item = event.target.closest(".search-result");
+
+    if (item) {
+        jumpToSearchResult(searchResults[item.dataset.index]);
+    }
+}
@@ -0,0 +1,212 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CONVERSATION STORAGE
+   Promise-based IndexedDB persistence for chats
+   ============================================ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * IndexedDB database name
+ * @constant {string}
+ */
+const DB_NAME = "qlm-chatbot";
+
+/**
+ * IndexedDB schema version
+ * @constant {number}
+ */
+const DB_VERSION = 2;
+
+/**
+ * Object store holding conversation records
+ * @constant {string}
+ */
+const CONVERSATION_STORE = "conversations";
+
+/**
+ * Object store holding attached documents and their search index
+ * @constant {string}
+ */
+const DOCUMENT_STORE = "documents";
+
+/* ============================================
+   DATABASE CONNECTION
+   ============================================ */
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the chatbot database
+ * @description The connection is opened once and shared by all callers
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB is not available in this browser"));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+
+            if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
+                const store = db.createObjectStore(CONVERSATION_STORE, { keyPath: "id" });
+                store.createIndex("updatedAt", "updatedAt");
+            }
+
+            if (!db.objectStoreNames.contains(DOCUMENT_STORE)) {
+                const store = db.createObjectStore(DOCUMENT_STORE, { keyPath: "id" });
+                store.createIndex("conversationId", "conversationId");
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - The object store to use
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request
+ * @returns {Promise<*>} The request result, once the transaction completes
+ */
+async function runStoreRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/* ============================================
+   CONVERSATION RECORDS
+   ============================================ */
+
+/**
+ * Create a new, unsaved conversation record
+ * @param {string} [title] - Initial title
+ * @returns {Object} The conversation record
+ */
+function createConversationRecord(title = "New chat") {
+    const now = Date.now();
+
+    return {
+        id: generateId(),
+        title,
+        createdAt: now,
+        updatedAt: now,
+        pinned: false,
+        nodes: {},
+        rootIds: [],
+        selectedRootId: null
+    };
+}
+
+/**
+ * Load every stored conversation
+ * @returns {Promise<Array<Object>>} All conversation records
+ */
+function getAllConversations() {
+    return runStoreRequest(CONVERSATION_STORE, "readonly", store => store.getAll());
+}
+
+/**
+ * Load a single conversation
+ * @param {string} id - The conversation id
+ * @returns {Promise<Object|undefined>} The record, or undefined if not found
+ */
+function getConversation(id) {
+    return runStoreRequest(CONVERSATION_STORE, "readonly", store => store.get(id));
+}
+
+/**
+ * Insert or replace a conversation
+ * @param {Object} conversation - The record to store
+ * @returns {Promise<string>} The stored record's id
+ */
+function putConversation(conversation) {
+    return runStoreRequest(CONVERSATION_STORE, "readwrite", store => store.put(conversation));
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id - The conversation id
+ * @returns {Promise<void>}
+ */
+function deleteConversation(id) {
+    return runStoreRequest(CONVERSATION_STORE, "readwrite", store => store.delete(id));
+}
+
+/* ============================================
+   DOCUMENT RECORDS
+   ============================================ */
+
+/**
+ * Load every stored document
+ * @returns {Promise<Array<Object>>} All document records
+ */
+function getAllDocuments() {
+    return runStoreRequest(DOCUMENT_STORE, "readonly", store => store.getAll());
+}
+
+/**
+ * Load the documents attached to a conversation
+ * @param {string} conversationId - The conversation id
+ * @returns {Promise<Array<Object>>} The conversation's document records
+ */
+function getConversationDocuments(conversationId) {
+    return runStoreRequest(DOCUMENT_STORE, "readonly", store => store.index("conversationId").getAll(conversationId));
+}
+
+/**
+ * Insert or replace a document
+ * @param {Object} record - The record to store
+ * @returns {Promise<string>} The stored record's id
+ */
+function putDocument(record) {
+    return runStoreRequest(DOCUMENT_STORE, "readwrite", store => store.put(record));
+}
+
+/**
+ * Delete a document
+ * @param {string} id - The document id
+ * @returns {Promise<void>}
+ */
+function deleteDocument(id) {
+    return runStoreRequest(DOCUMENT_STORE, "readwrite", store => store.delete(id));
+}
+
+/**
+ * Generate a unique id
+ * @returns {string} A random id
+ */
+function generateId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
@@ -0,0 +1,153 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - STREAMING RENDERER
+   Incremental markdown rendering for streamed replies
+   ============================================ */
+
+/*
+ * Re-parsing the whole reply for every chunk resets text selection, makes
+ * long answers janky and costs quadratic time. Instead a streamed bubble is
+ * split into:
+ *
+ *   committed blocks  markdown blocks that can no longer change; rendered,
+ *                     highlighted and typeset once, then never touched again
+ *   trailing block    the last, unfinished block; re-rendered every frame,
+ *                     with any math or diagram in it shown as source
+ *
+ * Chunks are batched so the DOM is updated at most once per animation frame.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Matches a fenced code block whose closing fence has arrived
+ * @constant {RegExp}
+ * @description Once closed, nothing later in the stream can change the block,
+ * so it is committed (and highlighted) even while it is the last block
+ */
+const CLOSED_FENCE_PATTERN = /^ {0,3}((`|~)\2{2,})[^\n]*\n(?:[\s\S]*?\n)? {0,3}\1\2*[ \t]*\n*$/;
+
+/* ============================================
+   BLOCK SPLITTING
+   ============================================ */
+
+/**
+ * Split markdown into top-level blocks
+ * @description Blank lines stay attached to the block before them, so the
+ * blocks always join back into the original text. Returns a single block
+ * when marked is unavailable or its tokens do not cover the text exactly
+ * (e.g. link reference definitions), which just disables committing.
+ * @param {string} markdown - The markdown to split
+ * @returns {Array<string>} Raw block sources, in order
+ */
+function splitMarkdownBlocks(markdown) {
+    if (!markdown) {
+        return [];
+    }
+
+    if (typeof marked === "undefined") {
+        return [markdown];
+    }
+
+    const blocks = [];
+
+    try {
+        marked.lexer(markdown).forEach(token => {
+            if (token.type === "space" && blocks.length > 0) {
+                blocks[blocks.length - 1] += token.raw;
+            } else {
+                blocks.push(token.raw);
+            }
+        });
+    } catch (error) {
+        return [markdown];
+    }
+
+    return blocks.join("") === markdown ? blocks : [markdown];
+}
+
+/**
+ * Render markdown and append the result to an element
+ * @param {HTMLElement} parent - The element to append to
+ * @param {string} markdown - The markdown to render
+ * @param {boolean} highlight - Whether the blocks are final, so math, code and
+ * diagrams can be fully rendered
+ * @returns {Array<Node>} The appended nodes
+ */
+function appendRenderedMarkdown(parent, markdown, highlight) {
+    const template = document.createElement("template");
+    template.innerHTML = renderMarkdown(markdown);
+
+    if (highlight) {
+        finishRenderedMarkdown(template.content);
+    }
+
+    const nodes = [...template.content.childNodes];
+    parent.appendChild(template.content);
+
+    return nodes;
+}
+
+/* ============================================
+   STREAM RENDERER
+   ============================================ */
+
+/**
+ * Create a renderer that streams markdown into a message bubble
+ * @param {HTMLElement} bubble - The (empty) message bubble to render into
+ * @param {Object} [options] - Rendering hooks, for bubbles outside the chat
+ * @param {function(HTMLElement, string, boolean): Array<Node>} [options.renderBlock] - Appends
+ * one block and returns its nodes (see appendRenderedMarkdown)
+ * @param {function()} [options.onRender] - Called after each DOM update
+ * @returns {{append: function(string), finish: function()}} The renderer;
+ * `append` queues a chunk, `finish` renders everything that is left
+ */
+function createStreamRenderer(bubble, { renderBlock = appendRenderedMarkdown, onRender = scrollToBottom } = {}) {
+    let source = "";
+    let committedLength = 0;
+    let tailNodes = [];
+    let frameId = null;
+
+    const render = final => {
+        frameId = null;
+
+        const blocks = splitMarkdownBlocks(source.slice(committedLength));
+        const last = blocks[blocks.length - 1];
+        const stableCount = final || CLOSED_FENCE_PATTERN.test(last || "")
+            ? blocks.length
+            : blocks.length - 1;
+
+        tailNodes.forEach(node => node.remove());
+        tailNodes = [];
+
+        blocks.slice(0, stableCount).forEach(block => {
+            renderBlock(bubble, block, true);
+            committedLength += block.length;
+        });
+
+        // Code, math and diagrams in the trailing block wait until it is committed
+        if (stableCount < blocks.length) {
+            tailNodes = renderBlock(bubble, last, false);
+        }
+
+        onRender();
+    };
+
+    return {
+        append(text) {
+            source += text;
+
+            if (frameId === null) {
+                frameId = requestAnimationFrame(() => render(false));
+            }
+        },
+
+        finish() {
+            if (frameId !== null) {
+                cancelAnimationFrame(frameId);
+            }
+            render(true);
+        }
+    };
+}
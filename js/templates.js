@@ -0,0 +1,561 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - PROMPT TEMPLATES
+   Reusable prompts with {{variables}}
+   ============================================ */
+
+/*
+ * A template is a saved prompt that may contain {{variables}}. Inserting
+ * one with variables asks for their values first; the filled-in text is put
+ * in the message input, not sent. Templates are kept in localStorage:
+ *
+ *   { id, name, text, folder, tags: [string], uses, lastUsedAt }
+ *
+ * `uses` counts insertions, so the most-used templates can be offered on
+ * the empty state.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * LocalStorage key for the template library
+ * @constant {string}
+ */
+const TEMPLATES_STORAGE_KEY = "chatbot-templates";
+
+/**
+ * Matches a {{variable}} placeholder; the name is the first group
+ * @constant {RegExp}
+ */
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * Number of prompt cards on the empty state
+ * @constant {number}
+ */
+const EMPTY_STATE_CARD_COUNT = 4;
+
+/**
+ * Templates for a fresh library
+ * @constant {Array<Object>}
+ */
+const DEFAULT_TEMPLATES = [
+    {
+        id: "explain-simply",
+        name: "Explain simply",
+        text: "Explain {{topic}} in simple terms, as if to someone new to {{field}}.",
+        folder: "Learning",
+        tags: ["explain"]
+    },
+    {
+        id: "compare",
+        name: "Compare two things",
+        text: "What are the key differences between {{first}} and {{second}}? Answer with a short table.",
+        folder: "Learning",
+        tags: ["compare"]
+    },
+    {
+        id: "write-function",
+        name: "Write a function",
+        text: "Write a {{language}} function that {{task}}. Include a short usage example.",
+        folder: "Code",
+        tags: ["code"]
+    },
+    {
+        id: "summarize",
+        name: "Summarize text",
+        text: "Summarize the following text in {{count}} bullet points:\n\n{{text}}",
+        folder: "Writing",
+        tags: ["summary"]
+    }
+];
+
+/* ============================================
+   TEMPLATE STATE
+   ============================================ */
+
+/**
+ * Load templates from localStorage
+ * @description A library the user emptied stays empty; only a missing one
+ * gets the defaults
+ */
+function initializeTemplates() {
+    let templates = null;
+
+    try {
+        templates = JSON.parse(localStorage.getItem(TEMPLATES_STORAGE_KEY));
+    } catch (error) {
+        console.error("Failed to read templates:", error);
+    }
+
+    state.templates = Array.isArray(templates)
+        ? templates
+        : DEFAULT_TEMPLATES.map(template => ({ ...template, uses: 0, lastUsedAt: null }));
+
+    registerSlashCommand({
+        name: "template",
+        args: "<name>",
+        description: "Insert a prompt template (no name opens the library)",
+        complete: () => state.templates.map(template => template.name),
+        run: text => {
+            if (!text) {
+                openTemplateManager();
+                return;
+            }
+
+            const name = text.toLowerCase();
+            const template = state.templates.find(item => item.name.toLowerCase() === name) ||
+                state.templates.find(item => item.name.toLowerCase().startsWith(name));
+
+            if (!template) {
+                throw new Error(`No template named "${text}".`);
+            }
+
+            useTemplate(template.id);
+        }
+    });
+
+    renderPersona();
+}
+
+/**
+ * Write templates to localStorage
+ */
+function saveTemplates() {
+    localStorage.setItem(TEMPLATES_STORAGE_KEY, JSON.stringify(state.templates));
+}
+
+/**
+ * List the variables a template uses
+ * @param {string} text - Template text
+ * @returns {Array<string>} Variable names, each once, in order of appearance
+ */
+function extractTemplateVariables(text) {
+    return [...new Set([...text.matchAll(TEMPLATE_VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Replace a template's variables with values
+ * @description Variables without a value are left as they are
+ * @param {string} text - Template text
+ * @param {Object<string, string>} values - Values by variable name
+ * @returns {string} The filled-in text
+ */
+function fillTemplate(text, values) {
+    return text.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) =>
+        values[name] ? values[name] : placeholder
+    );
+}
+
+/**
+ * Find templates matching a search
+ * @description Words must all appear in the name, text, folder or tags;
+ * "#word" only matches a tag
+ * @param {string} query - The search text
+ * @param {string} [folder] - Only this folder ("" for all)
+ * @returns {Array<Object>} Matching templates, by folder then name
+ */
+function searchTemplates(query, folder = "") {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return state.templates
+        .filter(template => !folder || template.folder === folder)
+        .filter(template => {
+            const tags = template.tags.map(tag => tag.toLowerCase());
+            const haystack = [template.name, template.text, template.folder, ...tags].join("\n").toLowerCase();
+
+            return words.every(word => word.startsWith("#")
+                ? tags.includes(word.slice(1))
+                : haystack.includes(word));
+        })
+        .sort((a, b) => a.folder.localeCompare(b.folder) || a.name.localeCompare(b.name));
+}
+
+/**
+ * List the folders in use
+ * @returns {Array<string>} Folder names, sorted
+ */
+function getTemplateFolders() {
+    return [...new Set(state.templates.map(template => template.folder).filter(Boolean))].sort();
+}
+
+/**
+ * Get the templates inserted most often
+ * @param {number} count - Maximum number of templates
+ * @returns {Array<Object>} Templates used at least once, most used first
+ */
+function getMostUsedTemplates(count) {
+    return state.templates
+        .filter(template => template.uses > 0)
+        .sort((a, b) => b.uses - a.uses || b.lastUsedAt - a.lastUsedAt)
+        .slice(0, count);
+}
+
+/* ============================================
+   INSERTING TEMPLATES
+   ============================================ */
+
+/**
+ * Insert a template into the message input
+ * @description Opens the fill-in form first if the template has variables
+ * @param {string} id - The template id
+ */
+function useTemplate(id) {
+    const template = state.templates.find(item => item.id === id);
+    if (!template) return;
+
+    if (extractTemplateVariables(template.text).length > 0) {
+        openTemplateFill(template);
+    } else {
+        insertTemplateText(template, template.text);
+    }
+}
+
+/**
+ * Put filled-in template text in the message input and count the use
+ * @param {Object} template - The template
+ * @param {string} text - The text to insert
+ */
+function insertTemplateText(template, text) {
+    elements.messageInput.value = text;
+    elements.messageInput.focus();
+    handleInputChange();
+
+    template.uses = (template.uses || 0) + 1;
+    template.lastUsedAt = Date.now();
+    saveTemplates();
+    renderPersona();
+}
+
+/**
+ * Open the form for a template's variables
+ * @param {Object} template - The template
+ */
+function openTemplateFill(template) {
+    const fields = elements.templateFillFields;
+    fields.innerHTML = "";
+
+    elements.templateFillForm.dataset.templateId = template.id;
+    elements.templateFillTitle.textContent = template.name;
+
+    extractTemplateVariables(template.text).forEach(name => {
+        const row = document.createElement("label");
+        row.className = "form-row";
+
+        const label = document.createElement("span");
+        label.className = "form-label";
+        label.textContent = name;
+
+        const input = document.createElement("textarea");
+        input.className = "form-input";
+        input.rows = 1;
+        input.dataset.variable = name;
+
+        row.appendChild(label);
+        row.appendChild(input);
+        fields.appendChild(row);
+    });
+
+    renderTemplatePreview();
+    elements.templateFillPanel.classList.remove("hidden");
+    fields.querySelector("textarea").focus();
+}
+
+/**
+ * Close the variables form
+ */
+function closeTemplateFill() {
+    elements.templateFillPanel.classList.add("hidden");
+}
+
+/**
+ * Read the variables form
+ * @returns {Object<string, string>} Values by variable name
+ */
+function readTemplateFillValues() {
+    const values = {};
+
+    elements.templateFillFields.querySelectorAll("[data-variable]").forEach(input => {
+        values[input.dataset.variable] = input.value.trim();
+    });
+
+    return values;
+}
+
+/**
+ * Show the filled-in text under the variables form
+ */
+function renderTemplatePreview() {
+    const template = state.templates.find(item => item.id === elements.templateFillForm.dataset.templateId);
+
+    elements.templateFillPreview.textContent = template
+        ? fillTemplate(template.text, readTemplateFillValues())
+        : "";
+}
+
+/**
+ * Handle submission of the variables form
+ * @param {SubmitEvent} event - The submit event
+ */
+function handleTemplateFillSubmit(event) {
+    event.preventDefault();
+
+    const template = state.templates.find(item => item.id === elements.templateFillForm.dataset.templateId);
+    if (!template) return;
+
+    closeTemplateFill();
+    insertTemplateText(template, fillTemplate(template.text, readTemplateFillValues()));
+}
+
+/* ============================================
+   TEMPLATE LIBRARY
+   ============================================ */
+
+/**
+ * Open the template library
+ */
+function openTemplateManager() {
+    elements.templateSearchInput.value = "";
+    renderTemplateFolders();
+
+    const first = searchTemplates("")[0];
+    if (first) {
+        fillTemplateForm(first);
+    } else {
+        handleTemplateNew();
+    }
+
+    elements.templatePanel.classList.remove("hidden");
+    elements.templateSearchInput.focus();
+}
+
+/**
+ * Close the template library
+ */
+function closeTemplateManager() {
+    elements.templatePanel.classList.add("hidden");
+}
+
+/**
+ * Fill the folder filter and the folder suggestions of the form
+ */
+function renderTemplateFolders() {
+    const folders = getTemplateFolders();
+    const filter = elements.templateFolderFilter;
+    const selected = filter.value;
+
+    filter.innerHTML = "";
+    filter.appendChild(new Option("All folders", ""));
+    folders.forEach(folder => filter.appendChild(new Option(folder, folder)));
+    filter.value = folders.includes(selected) ? selected : "";
+
+    elements.templateFolderOptions.innerHTML = "";
+    folders.forEach(folder => elements.templateFolderOptions.appendChild(new Option(folder)));
+}
+
+/**
+ * Render the search results, grouped by folder
+ */
+function renderTemplateList() {
+    const list = elements.templateList;
+    const results = searchTemplates(elements.templateSearchInput.value, elements.templateFolderFilter.value);
+    list.innerHTML = "";
+
+    if (results.length === 0) {
+        const empty = document.createElement("p");
+        empty.className = "form-hint";
+        empty.textContent = "No matching templates";
+        list.appendChild(empty);
+        return;
+    }
+
+    let folder = null;
+
+    results.forEach(template => {
+        if (template.folder !== folder) {
+            folder = template.folder;
+
+            const heading = document.createElement("div");
+            heading.className = "template-folder";
+            heading.textContent = folder || "Unfiled";
+            list.appendChild(heading);
+        }
+
+        const item = document.createElement("button");
+        item.type = "button";
+        item.className = "persona-item template-item";
+        item.dataset.id = template.id;
+        item.classList.toggle("editing", template.id === elements.templateForm.dataset.templateId);
+
+        const name = document.createElement("span");
+        name.className = "template-name";
+        name.textContent = template.name;
+        item.appendChild(name);
+
+        template.tags.forEach(tag => {
+            const chip = document.createElement("span");
+            chip.className = "template-tag";
+            chip.dataset.tag = tag;
+            chip.textContent = `#${tag}`;
+            item.appendChild(chip);
+        });
+
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Populate the template form
+ * @param {Object} template - The template to edit
+ */
+function fillTemplateForm(template) {
+    elements.templateForm.dataset.templateId = template.id;
+    elements.templateNameInput.value = template.name;
+    elements.templateFolderInput.value = template.folder;
+    elements.templateTagsInput.value = template.tags.join(", ");
+    elements.templateTextInput.value = template.text;
+
+    renderTemplateVariablesHint();
+    renderTemplateList();
+}
+
+/**
+ * List the edited template's variables under its text
+ */
+function renderTemplateVariablesHint() {
+    const variables = extractTemplateVariables(elements.templateTextInput.value);
+
+    elements.templateVariablesHint.textContent = variables.length > 0
+        ? `Variables: ${variables.join(", ")}`
+        : "Use {{name}} for parts to fill in when inserting";
+}
+
+/**
+ * Read the template form into a template object
+ * @returns {Object} The edited template
+ */
+function readTemplateForm() {
+    const id = elements.templateForm.dataset.templateId;
+    const existing = state.templates.find(item => item.id === id);
+
+    const tags = elements.templateTagsInput.value
+        .split(",")
+        .map(tag => tag.trim().replace(/^#/, ""))
+        .filter(Boolean);
+
+    return {
+        id,
+        name: elements.templateNameInput.value.trim() || "Untitled template",
+        text: elements.templateTextInput.value,
+        folder: elements.templateFolderInput.value.trim(),
+        tags: [...new Set(tags)],
+        uses: existing ? existing.uses : 0,
+        lastUsedAt: existing ? existing.lastUsedAt : null
+    };
+}
+
+/**
+ * Save the template being edited
+ * @returns {Object} The saved template
+ */
+function saveEditedTemplate() {
+    const template = readTemplateForm();
+    const index = state.templates.findIndex(item => item.id === template.id);
+
+    if (index === -1) {
+        state.templates.push(template);
+    } else {
+        state.templates[index] = template;
+    }
+
+    saveTemplates();
+    renderTemplateFolders();
+    renderTemplateList();
+    renderPersona();
+
+    return template;
+}
+
+/**
+ * Handle template form submission
+ * @param {SubmitEvent} event - The submit event
+ */
+function handleTemplateSave(event) {
+    event.preventDefault();
+    saveEditedTemplate();
+}
+
+/**
+ * Save the edited template and insert it
+ */
+function handleTemplateInsert() {
+    if (!elements.templateTextInput.value.trim()) {
+        return;
+    }
+
+    const template = saveEditedTemplate();
+    closeTemplateManager();
+    useTemplate(template.id);
+}
+
+/**
+ * Handle clicks in the template list
+ * @description A tag narrows the search to that tag
+ * @param {MouseEvent} event - The click event
+ */
+function handleTemplateListClick(event) {
+    const tag = event.target.closest(".template-tag");
+
+    if (tag) {
+        elements.templateSearchInput.value = `#${tag.dataset.tag}`;
+        renderTemplateList();
+        return;
+    }
+
+    const item = event.target.closest(".template-item");
+    const template = item && state.templates.find(t => t.id === item.dataset.id);
+
+    if (template) {
+        fillTemplateForm(template);
+    }
+}
+
+/**
+ * Start editing a new, unsaved template
+ * @description Starts from whatever is in the message input
+ */
+function handleTemplateNew() {
+    fillTemplateForm({
+        id: generateId(),
+        name: "New template",
+        text: elements.messageInput.value.trim(),
+        folder: elements.templateFolderFilter.value,
+        tags: []
+    });
+    elements.templateNameInput.select();
+}
+
+/**
+ * Delete the template being edited
+ */
+function handleTemplateDelete() {
+    const id = elements.templateForm.dataset.templateId;
+    const template = state.templates.find(item => item.id === id);
+
+    if (!template || !confirm(`Delete the "${template.name}" template?`)) {
+        return;
+    }
+
+    state.templates = state.templates.filter(item => item.id !== id);
+    saveTemplates();
+    renderTemplateFolders();
+    renderPersona();
+
+    const first = searchTemplates("")[0];
+    if (first) {
+        fillTemplateForm(first);
+    } else {
+        handleTemplateNew();
+    }
+}
@@ -0,0 +1,214 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CONVERSATION TREE
+   Branching message history for edits and regenerations
+   ============================================ */
+
+/*
+ * A conversation stores its messages as a tree so that editing a prompt or
+ * regenerating a reply forks the history instead of overwriting it:
+ *
+ *   conversation.nodes          { [id]: node }
+ *   conversation.rootIds        ids of the first messages, oldest first
+ *   conversation.selectedRootId which first message the visible path starts at
+ *
+ *   node: { id, parentId, role, content, timestamp, childIds, selectedChildId }
+ *
+ * The visible transcript is the path that follows each node's selected child.
+ */
+
+/* ============================================
+   TREE QUERIES
+   ============================================ */
+
+/**
+ * Get the currently visible path through a conversation
+ * @param {Object} conversation - The conversation
+ * @returns {Array<Object>} Message nodes, oldest first
+ */
+function getActivePath(conversation) {
+    const path = [];
+    let id = conversation.selectedRootId;
+
+    while (id) {
+        const node = conversation.nodes[id];
+        path.push(node);
+        id = node.selectedChildId;
+    }
+
+    return path;
+}
+
+/**
+ * Get the last node of the visible path
+ * @param {Object} conversation - The conversation
+ * @returns {Object|null} The leaf node, or null for an empty conversation
+ */
+function getActiveLeaf(conversation) {
+    const path = getActivePath(conversation);
+    return path.length > 0 ? path[path.length - 1] : null;
+}
+
+/**
+ * Get the messages leading to a node, whether or not it is on the visible path
+ * @param {Object} conversation - The conversation
+ * @param {string|null} nodeId - The last node, or null for none
+ * @returns {Array<Object>} Message nodes from the first one to the node
+ */
+function getPathTo(conversation, nodeId) {
+    const path = [];
+    let node = nodeId ? conversation.nodes[nodeId] : null;
+
+    while (node) {
+        path.unshift(node);
+        node = node.parentId ? conversation.nodes[node.parentId] : null;
+    }
+
+    return path;
+}
+
+/**
+ * Get a node and its siblings (including itself)
+ * @param {Object} conversation - The conversation
+ * @param {Object} node - The node
+ * @returns {Array<string>} Sibling ids, oldest first
+ */
+function getSiblingIds(conversation, node) {
+    return node.parentId ? conversation.nodes[node.parentId].childIds : conversation.rootIds;
+}
+
+/**
+ * Check whether a conversation has any messages
+ * @param {Object} conversation - The conversation
+ * @returns {boolean} True if at least one message exists
+ */
+function hasMessages(conversation) {
+    return conversation.rootIds.length > 0;
+}
+
+/* ============================================
+   TREE UPDATES
+   ============================================ */
+
+/**
+ * Add a message as the selected child of a parent
+ * @param {Object} conversation - The conversation
+ * @param {string|null} parentId - Parent node id, or null for a first message
+ * @param {string} role - "user" or "assistant"
+ * @param {string} content - Message text
+ * @returns {Object} The new node
+ */
+function addMessageNode(conversation, parentId, role, content) {
+    const node = {
+        id: generateId(),
+        parentId,
+        role,
+        content,
+        timestamp: Date.now(),
+        childIds: [],
+        selectedChildId: null
+    };
+
+    conversation.nodes[node.id] = node;
+    getSiblingIds(conversation, node).push(node.id);
+    setSelectedChild(conversation, parentId, node.id);
+
+    return node;
+}
+
+/**
+ * Set which child of a parent is on the visible path
+ * @param {Object} conversation - The conversation
+ * @param {string|null} parentId - Parent node id, or null for the root
+ * @param {string|null} childId - The child to select
+ */
+function setSelectedChild(conversation, parentId, childId) {
+    if (parentId) {
+        conversation.nodes[parentId].selectedChildId = childId;
+    } else {
+        conversation.selectedRootId = childId;
+    }
+}
+
+/**
+ * Get which child of a parent is on the visible path
+ * @param {Object} conversation - The conversation
+ * @param {string|null} parentId - Parent node id, or null for the root
+ * @returns {string|null} The selected child id
+ */
+function getSelectedChild(conversation, parentId) {
+    return parentId ? conversation.nodes[parentId].selectedChildId : conversation.selectedRootId;
+}
+
+/**
+ * Move the visible path to a neighbouring sibling of a node
+ * @param {Object} conversation - The conversation
+ * @param {string} nodeId - The node currently shown
+ * @param {number} offset - -1 for the previous sibling, 1 for the next
+ * @returns {boolean} True if the selection changed
+ */
+function selectSibling(conversation, nodeId, offset) {
+    const node = conversation.nodes[nodeId];
+    const siblings = getSiblingIds(conversation, node);
+    const target = siblings[siblings.indexOf(nodeId) + offset];
+
+    if (!target) {
+        return false;
+    }
+
+    setSelectedChild(conversation, node.parentId, target);
+    return true;
+}
+
+/**
+ * Put a node on the visible path by selecting each branch leading to it
+ * @param {Object} conversation - The conversation
+ * @param {string} nodeId - The node to show
+ * @returns {boolean} True if the selection changed
+ */
+function selectPathTo(conversation, nodeId) {
+    let node = conversation.nodes[nodeId];
+    let changed = false;
+
+    while (node) {
+        if (getSelectedChild(conversation, node.parentId) !== node.id) {
+            setSelectedChild(conversation, node.parentId, node.id);
+            changed = true;
+        }
+        node = node.parentId ? conversation.nodes[node.parentId] : null;
+    }
+
+    return changed;
+}
+
+/* ============================================
+   MIGRATION
+   ============================================ */
+
+/**
+ * Convert a conversation saved as a flat message list into a tree
+ * @description Records saved before branching existed have `messages`
+ * instead of `nodes`; they become a single unbranched path
+ * @param {Object} conversation - The conversation, updated in place
+ * @returns {Object} The same conversation
+ */
+function normalizeConversationTree(conversation) {
+    if (conversation.nodes) {
+        return conversation;
+    }
+
+    const messages = conversation.messages || [];
+
+    conversation.nodes = {};
+    conversation.rootIds = [];
+    conversation.selectedRootId = null;
+    delete conversation.messages;
+
+    let parentId = null;
+    messages.forEach(message => {
+        const node = addMessageNode(conversation, parentId, message.role, message.content);
+        node.timestamp = message.timestamp || conversation.createdAt;
+        parentId = node.id;
+    });
+
+    return conversation;
+}
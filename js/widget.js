@@ -0,0 +1,492 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - CHAT WIDGET
+   The <qlm-chat> custom element
+   ============================================ */
+
+/*
+ * <qlm-chat> puts a ChatClient (client.js) in a small, self-contained chat
+ * box. Its markup and styles live in a shadow root, so the host page's CSS
+ * neither reaches in nor gets overridden. Attributes:
+ *
+ *   endpoint        base URL of the backend
+ *   provider        server type: fastapi (default), openai, ollama, llamacpp or mock
+ *   path            streaming path, if not the provider's default
+ *   model           model name, for servers that need one
+ *   persona         built-in persona: academic (default), coder or writer
+ *   system-prompt   system prompt to use instead of the persona's
+ *   theme           light (default), dark, or auto to follow the OS
+ *
+ * A changed attribute applies from the next message. The colors are the
+ * app's design tokens and can be overridden from the host page, e.g.
+ * `qlm-chat { --color-accent-primary: teal; }`. The element's `client`
+ * property is the ChatClient behind it.
+ *
+ * This file is not loaded by the app: tools/build-embed.js wraps it with the
+ * scripts it needs into js/embed.js, one function scope that declares the
+ * `marked` binding assigned below, so nothing leaks into the host page.
+ */
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * marked as an ES module, so the widget gets its own copy without reading or
+ * adding a page global
+ * @constant {string}
+ */
+const WIDGET_MARKED_URL = "https://cdn.jsdelivr.net/npm/marked/lib/marked.esm.js";
+
+/**
+ * Attributes that configure the backend
+ * @constant {Array<string>}
+ */
+const WIDGET_ENDPOINT_ATTRIBUTES = ["endpoint", "provider", "path", "model"];
+
+/**
+ * Dark theme tokens, applied for theme="dark" and for theme="auto" on a dark OS
+ * @constant {string}
+ */
+const WIDGET_DARK_TOKENS = `
+    --color-bg-primary: #111827;
+    --color-bg-secondary: #1f2937;
+    --color-bg-hover: #4b5563;
+    --color-text-primary: #f9fafb;
+    --color-text-secondary: #d1d5db;
+    --color-border: #374151;
+    --color-accent-primary: #818cf8;
+    --color-accent-hover: #6366f1;
+    --color-bot-bubble: #1f2937;
+    --color-bot-text: #f9fafb;
+`;
+
+/**
+ * Styles of the widget's shadow root
+ * @constant {string}
+ */
+const WIDGET_STYLES = `
+    :host {
+        --color-bg-primary: #ffffff;
+        --color-bg-secondary: #f9fafb;
+        --color-bg-hover: #e5e7eb;
+        --color-text-primary: #111827;
+        --color-text-secondary: #6b7280;
+        --color-border: #e5e7eb;
+        --color-accent-primary: #6366f1;
+        --color-accent-hover: #4f46e5;
+        --color-user-bubble: #6366f1;
+        --color-user-text: #ffffff;
+        --color-bot-bubble: #f3f4f6;
+        --color-bot-text: #111827;
+        --color-error: #ef4444;
+        --font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+
+        display: block;
+        height: 480px;
+        font-family: var(--font-family);
+        font-size: 0.875rem;
+        color: var(--color-text-primary);
+    }
+
+    :host([theme="dark"]) {${WIDGET_DARK_TOKENS}}
+
+    @media (prefers-color-scheme: dark) {
+        :host([theme="auto"]) {${WIDGET_DARK_TOKENS}}
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    .chat {
+        display: flex;
+        flex-direction: column;
+        height: 100%;
+        box-sizing: border-box;
+        border: 1px solid var(--color-border);
+        border-radius: 0.75rem;
+        background: var(--color-bg-primary);
+        overflow: hidden;
+    }
+
+    .chat-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 0.5rem 0.75rem;
+        border-bottom: 1px solid var(--color-border);
+        background: var(--color-bg-secondary);
+        font-weight: 600;
+    }
+
+    .chat-messages {
+        flex: 1;
+        overflow-y: auto;
+        padding: 0.75rem;
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+    }
+
+    .chat-message {
+        max-width: 85%;
+        padding: 0.5rem 0.75rem;
+        border-radius: 0.75rem;
+        line-height: 1.5;
+        overflow-wrap: anywhere;
+    }
+
+    .chat-message.user {
+        align-self: flex-end;
+        background: var(--color-user-bubble);
+        color: var(--color-user-text);
+        white-space: pre-wrap;
+    }
+
+    .chat-message.bot {
+        align-self: flex-start;
+        background: var(--color-bot-bubble);
+        color: var(--color-bot-text);
+    }
+
+    .chat-message.error {
+        border: 1px solid var(--color-error);
+    }
+
+    .chat-message > :first-child {
+        margin-top: 0;
+    }
+
+    .chat-message > :last-child {
+        margin-bottom: 0;
+    }
+
+    .chat-message pre {
+        overflow-x: auto;
+        padding: 0.5rem;
+        border-radius: 0.375rem;
+        background: var(--color-bg-primary);
+    }
+
+    .chat-status {
+        font-size: 0.75rem;
+        color: var(--color-text-secondary);
+    }
+
+    .chat-form {
+        display: flex;
+        gap: 0.5rem;
+        padding: 0.5rem;
+        border-top: 1px solid var(--color-border);
+    }
+
+    .chat-input {
+        flex: 1;
+        resize: none;
+        padding: 0.5rem;
+        border: 1px solid var(--color-border);
+        border-radius: 0.5rem;
+        background: var(--color-bg-primary);
+        color: var(--color-text-primary);
+        font: inherit;
+    }
+
+    .chat-input:focus {
+        outline: none;
+        border-color: var(--color-accent-primary);
+    }
+
+    button {
+        padding: 0.375rem 0.75rem;
+        border: 1px solid var(--color-border);
+        border-radius: 0.5rem;
+        background: var(--color-bg-primary);
+        color: var(--color-text-primary);
+        font: inherit;
+        cursor: pointer;
+    }
+
+    button:hover {
+        background: var(--color-bg-hover);
+    }
+
+    .chat-send {
+        border-color: var(--color-accent-primary);
+        background: var(--color-accent-primary);
+        color: #ffffff;
+    }
+
+    .chat-send:hover {
+        background: var(--color-accent-hover);
+    }
+`;
+
+/**
+ * Markup of the widget's shadow root
+ * @constant {string}
+ */
+const WIDGET_TEMPLATE = `
+    <style>${WIDGET_STYLES}</style>
+    <div class="chat" part="chat">
+        <div class="chat-header">
+            <span class="chat-title"></span>
+            <button type="button" class="chat-clear">Clear</button>
+        </div>
+        <div class="chat-messages" role="log" aria-live="polite"></div>
+        <form class="chat-form">
+            <textarea class="chat-input" rows="2" placeholder="Type your message…" aria-label="Message"></textarea>
+            <button type="submit" class="chat-send">Send</button>
+        </form>
+    </div>
+`;
+
+/* ============================================
+   RENDERING
+   ============================================ */
+
+/**
+ * Load the markdown parser
+ * @description Until it arrives, replies are shown as plain text
+ */
+function loadWidgetMarkdown() {
+    import(WIDGET_MARKED_URL)
+        .then(module => {
+            marked = module.marked;
+        })
+        .catch(error => console.error("Chat widget: markdown unavailable:", error));
+}
+
+/**
+ * Append one markdown block to a reply
+ * @description The widget's renderBlock for createStreamRenderer; without
+ * marked the text is shown as is
+ * @param {HTMLElement} parent - The message bubble
+ * @param {string} markdown - The block's source
+ * @returns {Array<Node>} The appended nodes
+ */
+function appendWidgetMarkdown(parent, markdown) {
+    if (typeof marked === "undefined") {
+        const text = document.createTextNode(markdown);
+        parent.appendChild(text);
+        return [text];
+    }
+
+    const template = document.createElement("template");
+
+    try {
+        template.innerHTML = sanitizeHtml(marked.parse(markdown, { breaks: true, gfm: true }));
+    } catch (error) {
+        console.error("Markdown rendering error:", error);
+        template.content.appendChild(document.createTextNode(markdown));
+    }
+
+    const nodes = [...template.content.childNodes];
+    parent.appendChild(template.content);
+
+    return nodes;
+}
+
+/* ============================================
+   CUSTOM ELEMENT
+   ============================================ */
+
+/**
+ * The <qlm-chat> element
+ */
+class QlmChatElement extends HTMLElement {
+    static get observedAttributes() {
+        return [...WIDGET_ENDPOINT_ATTRIBUTES, "persona", "system-prompt"];
+    }
+
+    constructor() {
+        super();
+
+        this.client = new ChatClient();
+        this.attachShadow({ mode: "open" }).innerHTML = WIDGET_TEMPLATE;
+
+        const root = this.shadowRoot;
+        this.parts = {
+            title: root.querySelector(".chat-title"),
+            messages: root.querySelector(".chat-messages"),
+            form: root.querySelector(".chat-form"),
+            input: root.querySelector(".chat-input"),
+            send: root.querySelector(".chat-send"),
+            clear: root.querySelector(".chat-clear")
+        };
+
+        this.bubble = null;
+        this.renderer = null;
+        this.status = null;
+
+        this.parts.form.addEventListener("submit", event => {
+            event.preventDefault();
+            this.handleSubmit();
+        });
+        this.parts.input.addEventListener("keydown", event => {
+            if (event.key === "Enter" && !event.shiftKey) {
+                event.preventDefault();
+                this.handleSubmit();
+            }
+        });
+        this.parts.clear.addEventListener("click", () => {
+            this.client.clear();
+            this.parts.messages.replaceChildren();
+        });
+
+        this.client.addEventListener("token", event => this.renderReply(event.detail.text));
+        this.client.addEventListener("retry", event => this.showRetry(event.detail));
+        this.client.addEventListener("done", event => this.finishReply(event.detail.message.content));
+        this.client.addEventListener("abort", event => this.finishReply(event.detail.message.content));
+        this.client.addEventListener("error", event => this.showError(event.detail));
+
+        this.renderTitle();
+    }
+
+    /**
+     * Apply a changed attribute to the client
+     * @param {string} name - The attribute name
+     * @param {string|null} oldValue - The previous value
+     * @param {string|null} value - The new value, or null when removed
+     */
+    attributeChangedCallback(name, oldValue, value) {
+        if (WIDGET_ENDPOINT_ATTRIBUTES.includes(name)) {
+            this.client.configure({
+                endpoint: {
+                    baseUrl: this.getAttribute("endpoint"),
+                    provider: this.getAttribute("provider"),
+                    streamPath: this.getAttribute("path"),
+                    model: this.getAttribute("model")
+                }
+            });
+        } else if (name === "persona") {
+            this.client.configure({ persona: value || DEFAULT_PERSONAS[0].id });
+            this.renderTitle();
+        } else if (name === "system-prompt") {
+            this.client.configure({ systemPrompt: value });
+        }
+    }
+
+    /**
+     * Stop any reply when the element leaves the page
+     */
+    disconnectedCallback() {
+        this.client.abort();
+    }
+
+    /**
+     * Show the persona's name in the header
+     */
+    renderTitle() {
+        const { persona } = this.client;
+        this.parts.title.textContent = `${persona.icon} ${persona.name}`;
+    }
+
+    /**
+     * Add a message bubble
+     * @param {string} role - "user" or "bot"
+     * @returns {HTMLElement} The bubble
+     */
+    addMessage(role) {
+        const bubble = document.createElement("div");
+        bubble.className = `chat-message ${role}`;
+        this.parts.messages.appendChild(bubble);
+        this.scrollToLatest();
+        return bubble;
+    }
+
+    /**
+     * Scroll the newest message into view
+     */
+    scrollToLatest() {
+        this.parts.messages.scrollTop = this.parts.messages.scrollHeight;
+    }
+
+    /**
+     * Send the typed message, or stop the reply being streamed
+     */
+    async handleSubmit() {
+        if (this.client.isStreaming) {
+            this.client.abort();
+            return;
+        }
+
+        const text = this.parts.input.value.trim();
+        if (!text) return;
+
+        this.parts.input.value = "";
+        this.addMessage("user").textContent = text;
+        this.bubble = this.addMessage("bot");
+        this.renderer = createStreamRenderer(this.bubble, {
+            renderBlock: appendWidgetMarkdown,
+            onRender: () => this.scrollToLatest()
+        });
+        this.parts.send.textContent = "Stop";
+
+        // Failures arrive as an "error" event
+        await this.client.send(text);
+        this.parts.send.textContent = "Send";
+    }
+
+    /**
+     * Stream a chunk of the reply
+     * @description Finished blocks are rendered once (see createStreamRenderer)
+     * @param {string} text - The new chunk
+     */
+    renderReply(text) {
+        this.clearStatus();
+        this.renderer.append(text);
+    }
+
+    /**
+     * Render what is left of the reply
+     * @param {string} content - The complete reply
+     */
+    finishReply(content) {
+        this.clearStatus();
+        this.renderer.finish();
+        this.renderer = null;
+
+        if (!content) {
+            this.bubble.remove();
+        }
+    }
+
+    /**
+     * Show that a failed request will be retried
+     * @param {{error: Error, attempt: number, delay: number}} detail - The retry event's detail
+     */
+    showRetry({ error, attempt, delay }) {
+        this.clearStatus();
+
+        this.status = document.createElement("div");
+        this.status.className = "chat-status";
+        this.status.setAttribute("role", "status");
+        this.status.textContent = `${error.message}. Retrying in ${Math.ceil(delay / 1000)}s ` +
+            `(attempt ${attempt} of ${RETRY_MAX_ATTEMPTS})…`;
+        this.parts.messages.appendChild(this.status);
+    }
+
+    /**
+     * Remove the retry notice
+     */
+    clearStatus() {
+        if (this.status) {
+            this.status.remove();
+            this.status = null;
+        }
+    }
+
+    /**
+     * Show why a request failed, after any partial reply
+     * @param {{error: Error, message: Object}} detail - The error event's detail
+     */
+    showError({ error, message }) {
+        this.finishReply(message.content);
+        this.addMessage("bot error").textContent = `⚠️ ${error.message}. ${error.hint}`;
+    }
+}
+
+if (!customElements.get("qlm-chat")) {
+    loadWidgetMarkdown();
+    customElements.define("qlm-chat", QlmChatElement);
+}
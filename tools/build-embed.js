@@ -0,0 +1,112 @@
+/* ============================================
+   QUANTIZED LLM CHATBOT - EMBED BUILD
+   Bundles the <qlm-chat> widget into js/embed.js
+   ============================================ */
+
+/*
+ * The app's scripts are classic scripts sharing the page's global scope. A
+ * page that embeds the widget has its own globals, so js/embed.js wraps the
+ * scripts the widget needs in a single function: their top-level names stay
+ * private, and only `window.ChatClient` and the <qlm-chat> element are
+ * exposed. The bundle is a build output and is not checked in; build it
+ * before hosting the widget, and again after changing any of the files below:
+ *
+ *   node tools/build-embed.js
+ *
+ * No dependencies; any recent Node works.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/* ============================================
+   CONFIGURATION & CONSTANTS
+   ============================================ */
+
+/**
+ * Repository root
+ * @constant {string}
+ */
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * Scripts in the bundle, in load order (the same order as index.html)
+ * @constant {Array<string>}
+ */
+const EMBED_SOURCES = [
+    "js/context.js",
+    "js/providers.js",
+    "js/endpoints.js",
+    "js/mock.js",
+    "js/client.js",
+    "js/errors.js",
+    "js/parameters.js",
+    "js/personas.js",
+    "js/sanitize.js",
+    "js/streaming.js",
+    "js/widget.js"
+];
+
+/**
+ * Where the bundle is written
+ * @constant {string}
+ */
+const EMBED_OUTPUT = "js/embed.js";
+
+/**
+ * Top of the bundle
+ * @constant {string}
+ */
+const EMBED_HEADER = `/* ============================================
+   QUANTIZED LLM CHATBOT - EMBED BUNDLE
+   Generated by tools/build-embed.js; do not edit
+   ============================================ */
+
+/*
+ * One script tag for the <qlm-chat> widget:
+ *
+ *   <script src="https://…/js/embed.js"></script>
+ *   <qlm-chat endpoint="https://…ngrok-free.dev" persona="coder" theme="auto"></qlm-chat>
+ *
+ * Everything runs inside one function, so the page's own globals are left
+ * alone; only window.ChatClient and <qlm-chat> are added. Built from:
+ *
+${EMBED_SOURCES.map(file => ` *   ${file}`).join("\n")}
+ */
+
+(function () {
+
+// Assigned by loadWidgetMarkdown (widget.js)
+let marked;
+`;
+
+/**
+ * Bottom of the bundle
+ * @constant {string}
+ */
+const EMBED_FOOTER = `
+if (!window.ChatClient) {
+    window.ChatClient = ChatClient;
+}
+
+})();
+`;
+
+/* ============================================
+   BUILD
+   ============================================ */
+
+/**
+ * Concatenate the sources into the bundle
+ * @returns {string} The bundle's text
+ */
+function buildEmbedBundle() {
+    const sources = EMBED_SOURCES.map(file =>
+        `\n// ---- ${file} ----\n\n${fs.readFileSync(path.join(ROOT, file), "utf8").trimEnd()}\n`
+    );
+
+    return EMBED_HEADER + sources.join("") + EMBED_FOOTER;
+}
+
+fs.writeFileSync(path.join(ROOT, EMBED_OUTPUT), buildEmbedBundle());
+console.log(`Wrote ${EMBED_OUTPUT}`);